@@ -10,6 +10,12 @@ import applicationRoutes, { paystackWebhookHandler } from './routes/applications
 import profileRoutes from './routes/profile.js';
 import dashboardRoutes from './routes/dashboard.js';
 import messageRoutes from './routes/messages.js';
+import companyRoutes from './routes/companies.js';
+import savedSearchRoutes from './routes/savedSearches.js';
+import feedRoutes from './routes/feeds.js';
+import promoCodeRoutes from './routes/promoCodes.js';
+import reviewRoutes from './routes/reviews.js';
+import interviewRoutes from './routes/interviews.js';
 import { notFound, errorHandler } from './middleware/error.js';
 
 const app = express();
@@ -41,6 +47,12 @@ app.use('/api/applications', applicationRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/interviews', interviewRoutes);
 
 app.use(notFound);
 app.use(errorHandler);
@@ -25,3 +25,41 @@ export const adminOnly = (req, res, next) => {
   }
   next();
 };
+
+export const employerOrAdmin = (req, res, next) => {
+  if (req.user?.role === 'admin') return next();
+  if (req.user?.role === 'employer' && req.user.companyId) return next();
+  return res.status(403).json({ message: 'Employer or admin access required' });
+};
+
+// Admins manage every opportunity; employers only those belonging to their company
+export function canManageOpportunity(user, opportunity) {
+  if (!user || !opportunity) return false;
+  if (user.role === 'admin') return true;
+  if (user.role !== 'employer' || !user.companyId || !opportunity.companyId) return false;
+  const oppCompanyId = opportunity.companyId._id || opportunity.companyId;
+  return oppCompanyId.toString() === user.companyId.toString();
+}
+
+// Mongo filter restricting opportunities to what the user may manage
+export function managedOpportunityFilter(user) {
+  if (user?.role === 'admin') return {};
+  if (user?.role === 'employer' && user.companyId) return { companyId: user.companyId };
+  return { _id: { $in: [] } };
+}
+
+// Attach req.user when a valid token is sent; anonymous requests continue without one
+export const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.startsWith('Bearer')
+    ? req.headers.authorization.split(' ')[1]
+    : null;
+  if (!token) return next();
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    const user = await User.findById(decoded.id).select('-password');
+    if (user) req.user = user;
+  } catch {
+    // Invalid or expired token: treat as anonymous
+  }
+  next();
+};
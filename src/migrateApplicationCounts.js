@@ -0,0 +1,37 @@
+/**
+ * Backfill Opportunity.applicationCount (used by sort=most_applied) from existing applications, and
+ * Opportunity.saveCount (used by popular recommendations) from users' saved opportunities.
+ * Run: npm run migrate:application-counts
+ * Requires MONGODB_URI in .env
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Opportunity from './models/Opportunity.js';
+import Application from './models/Application.js';
+import User from './models/User.js';
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const [counts, saves] = await Promise.all([
+    Application.aggregate([{ $group: { _id: '$opportunityId', count: { $sum: 1 } } }]),
+    User.aggregate([{ $unwind: '$savedOpportunities' }, { $group: { _id: '$savedOpportunities', count: { $sum: 1 } } }]),
+  ]);
+  const byId = new Map(counts.map((c) => [String(c._id), c.count]));
+  const savesById = new Map(saves.map((c) => [String(c._id), c.count]));
+  const opportunities = await Opportunity.find().select('_id applicationCount saveCount').lean();
+  let updated = 0;
+  for (const opp of opportunities) {
+    const count = byId.get(String(opp._id)) || 0;
+    const saveCount = savesById.get(String(opp._id)) || 0;
+    if (opp.applicationCount === count && opp.saveCount === saveCount) continue;
+    await Opportunity.updateOne({ _id: opp._id }, { $set: { applicationCount: count, saveCount } });
+    updated++;
+  }
+  console.log('Updated', updated, 'of', opportunities.length, 'opportunities');
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+/**
+ * Backfill Company profiles from the `company` strings on opportunities and link them via companyId.
+ * Also gives existing companies a slug. Name variants ("Safaricom" / "Safaricom PLC") are reported, not merged:
+ * review them with GET /api/companies/admin/name-variants and merge with POST /api/companies/:id/merge.
+ * Run: npm run migrate:companies
+ * Requires MONGODB_URI in .env
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Company from './models/Company.js';
+import Opportunity from './models/Opportunity.js';
+import { ensureCompany, resolveCompany, uniqueSlug, findNameVariants } from './utils/companies.js';
+
+const MAX_PROFILE_LOCATIONS = 10;
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const unslugged = await Company.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] }).select('name');
+  for (const company of unslugged) {
+    await Company.updateOne({ _id: company._id }, { $set: { slug: await uniqueSlug(company.name, company._id) } });
+  }
+  console.log('Added slugs to', unslugged.length, 'companies');
+
+  const unlinked = await Opportunity.find({ companyId: null, company: { $nin: [null, ''] } })
+    .select('company companyLogo locations')
+    .lean();
+  // Group case-insensitively; the most common spelling becomes the company name
+  const groups = new Map();
+  for (const opp of unlinked) {
+    const key = opp.company.trim().toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(opp);
+  }
+
+  let created = 0;
+  let linked = 0;
+  for (const opps of groups.values()) {
+    const name = mostCommon(opps.map((o) => o.company.trim()));
+    let company = await resolveCompany(name);
+    if (!company) {
+      company = await ensureCompany(name, { logo: mostCommon(opps.map((o) => o.companyLogo)) });
+      created++;
+    }
+    const { modifiedCount } = await Opportunity.updateMany(
+      { _id: { $in: opps.map((o) => o._id) } },
+      { $set: { companyId: company._id } }
+    );
+    linked += modifiedCount;
+    if (!company.locations?.length) {
+      const seen = new Map();
+      for (const loc of opps.flatMap((o) => o.locations || [])) {
+        const key = `${loc.county}|${loc.town || ''}`;
+        if (!seen.has(key)) seen.set(key, { county: loc.county, ...(loc.town && { town: loc.town }) });
+      }
+      const locations = [...seen.values()].slice(0, MAX_PROFILE_LOCATIONS);
+      if (locations.length) await Company.updateOne({ _id: company._id }, { $set: { locations } });
+    }
+  }
+  console.log('Created', created, 'companies and linked', linked, 'opportunities');
+
+  const variants = await findNameVariants();
+  if (variants.length) {
+    console.log('Possible name variants to review and merge:');
+    for (const v of variants) console.log(`- ${v.companies.map((c) => c.name).concat(v.unlinkedNames.map((u) => u.name)).join(' | ')}`);
+  }
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+/**
+ * Backfill structured locations (locations + workMode) from the free-text `location` string.
+ * Run: npm run migrate:locations (add -- --all to re-parse opportunities that already have locations)
+ * Requires MONGODB_URI in .env
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Opportunity from './models/Opportunity.js';
+import { parseLocationString } from './utils/locations.js';
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const all = process.argv.includes('--all');
+  const filter = all ? {} : { $or: [{ locations: { $exists: false } }, { locations: { $size: 0 } }] };
+  const opportunities = await Opportunity.find(filter).select('title location workMode').lean();
+  let updated = 0;
+  const unmatched = [];
+  for (const opp of opportunities) {
+    const parsed = parseLocationString(opp.location);
+    if (parsed.unmatched.length) unmatched.push({ id: opp._id, title: opp.title, location: opp.location, unmatched: parsed.unmatched });
+    await Opportunity.updateOne(
+      { _id: opp._id },
+      { $set: { locations: parsed.locations, workMode: parsed.workMode || opp.workMode || 'onsite' } }
+    );
+    updated++;
+  }
+  console.log('Updated', updated, 'of', opportunities.length, 'opportunities');
+  if (unmatched.length) {
+    console.log('Places not found in the gazetteer (review manually):');
+    for (const u of unmatched) console.log(`- ${u.id} "${u.title}": ${u.location} -> ${u.unmatched.join(', ')}`);
+  }
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
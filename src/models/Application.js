@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+// Label and type are copied from the question so answers stay readable if the opportunity is edited
+const answerSchema = new mongoose.Schema(
+  {
+    questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    label: { type: String, required: true },
+    type: { type: String, required: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    fileUrl: { type: String }, // file questions only
+  },
+  { _id: false }
+);
+
 const applicationSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -7,22 +19,39 @@ const applicationSchema = new mongoose.Schema(
     resumeUrl: { type: String, required: true },
     recommendationLetterUrl: { type: String }, // required for attachment type
     coverLetter: { type: String },
+    answers: [answerSchema],
     status: {
       type: String,
-      enum: ['pending_payment', 'submitted', 'under_review', 'shortlisted', 'rejected', 'accepted'],
+      enum: ['pending_payment', 'submitted', 'under_review', 'shortlisted', 'rejected', 'accepted', 'declined'],
       default: 'pending_payment',
     },
+    shortlistedAt: { type: Date }, // waitlist order: the earliest shortlisted applicant is promoted first
     mpesaCheckoutRequestId: { type: String }, // legacy
     mpesaTransactionId: { type: String }, // legacy
     paymentTransactionId: { type: String },
     amountPaid: { type: Number },
+    // Promo code applied before payment; the discount terms are copied so later edits to the code don't change it
+    promoCode: {
+      promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode' },
+      code: { type: String },
+      discountType: { type: String, enum: ['percent', 'fixed'] },
+      amount: { type: Number },
+      appliedAt: { type: Date },
+    },
     refundedAt: { type: Date },
     refundTransferCode: { type: String },
     refundAmount: { type: Number },
+    // Summary of submitted reviews (see ApplicationReview), kept in sync by refreshReviewSummary
+    reviewScore: { type: Number }, // mean of reviewers' weighted totals, 0-100; unset until the first review
+    reviewCount: { type: Number, default: 0 },
+    reviewSpread: { type: Number }, // highest minus lowest total
+    reviewDisagreement: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
 
 applicationSchema.index({ userId: 1, opportunityId: 1 }, { unique: true });
+applicationSchema.index({ opportunityId: 1, status: 1, shortlistedAt: 1 });
+applicationSchema.index({ opportunityId: 1, reviewScore: -1 });
 
 export default mongoose.model('Application', applicationSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Timeline of an application: status changes, payments, refunds, reminders and notes.
+// External events (and their externalNote) are shown to the applicant; internal ones only to staff.
+const applicationEventSchema = new mongoose.Schema(
+  {
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    type: {
+      type: String,
+      enum: [
+        'created',
+        'application_withdrawn',
+        'status_changed',
+        'payment_initiated',
+        'payment_received',
+        'payment_underpaid',
+        'payment_unmatched',
+        'promo_code_applied',
+        'promo_code_removed',
+        'refund_initiated',
+        'refund_completed',
+        'reminder_sent',
+        'reviewer_assigned',
+        'reviewer_removed',
+        'review_submitted',
+        'interview_invited',
+        'interview_booked',
+        'interview_rescheduled',
+        'interview_cancelled',
+        'offer_issued',
+        'offer_accepted',
+        'offer_declined',
+        'offer_lapsed',
+        'offer_withdrawn',
+        'note',
+      ],
+      required: true,
+    },
+    visibility: { type: String, enum: ['external', 'internal'], default: 'external' },
+    fromStatus: { type: String },
+    toStatus: { type: String },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset for system events (webhook, scheduler)
+    actorRole: { type: String, default: 'system' },
+    internalNote: { type: String, maxlength: 2000 },
+    externalNote: { type: String, maxlength: 2000 },
+    data: { type: mongoose.Schema.Types.Mixed }, // e.g. amount, reference, channel
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+applicationEventSchema.index({ applicationId: 1, createdAt: 1 });
+
+export default mongoose.model('ApplicationEvent', applicationEventSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Criterion label, weight and maxScore are copied from the rubric so a review stays readable on its own
+const criterionScoreSchema = new mongoose.Schema(
+  {
+    criterionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    label: { type: String, required: true },
+    weight: { type: Number, required: true },
+    maxScore: { type: Number, required: true },
+    score: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// One reviewer's assignment to an application; scores are filled in when the reviewer submits
+const applicationReviewSchema = new mongoose.Schema(
+  {
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    scores: [criterionScoreSchema],
+    comment: { type: String, maxlength: 5000 },
+    total: { type: Number }, // weighted score 0-100
+    submittedAt: { type: Date }, // unset while the review is pending
+  },
+  { timestamps: true }
+);
+
+applicationReviewSchema.index({ applicationId: 1, reviewerId: 1 }, { unique: true });
+applicationReviewSchema.index({ reviewerId: 1, submittedAt: 1, createdAt: -1 });
+applicationReviewSchema.index({ opportunityId: 1, submittedAt: 1 });
+
+export default mongoose.model('ApplicationReview', applicationReviewSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const companySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    slug: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    aliases: [{ type: String, trim: true }], // name variants merged into this company; matched on create/import
+    logo: { type: String },
+    website: { type: String },
+    description: { type: String },
+    industry: { type: String, trim: true },
+    locations: [
+      {
+        _id: false,
+        county: { type: String, required: true },
+        town: { type: String },
+      },
+    ],
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+companySchema.index({ aliases: 1 });
+companySchema.index({ industry: 1 });
+
+export default mongoose.model('Company', companySchema);
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// An applicant's booked interview. One per application; rescheduling moves it to another slot.
+// startsAt/endsAt are copied from the slot for conflict checks and reminders.
+const interviewBookingSchema = new mongoose.Schema(
+  {
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    slotId: { type: mongoose.Schema.Types.ObjectId, ref: 'InterviewSlot', required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE, bumped on every reschedule or change of details
+    reminder24hSentAt: { type: Date },
+    reminder1hSentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+interviewBookingSchema.index({ applicationId: 1 }, { unique: true });
+interviewBookingSchema.index({ userId: 1, startsAt: 1 });
+interviewBookingSchema.index({ slotId: 1 });
+interviewBookingSchema.index({ startsAt: 1, reminder1hSentAt: 1 });
+
+export default mongoose.model('InterviewBooking', interviewBookingSchema);
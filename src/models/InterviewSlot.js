@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A bookable interview time for an opportunity; `capacity` applicants can book it (e.g. group interviews)
+const interviewSlotSchema = new mongoose.Schema(
+  {
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    startsAt: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 5, max: 480 },
+    location: { type: String, trim: true }, // physical venue
+    videoLink: { type: String, trim: true }, // online interviews
+    capacity: { type: Number, default: 1, min: 1 },
+    bookedCount: { type: Number, default: 0, min: 0 }, // kept in sync with bookings by reserve/release
+    notes: { type: String, trim: true }, // shown to applicants, e.g. what to bring
+    isCancelled: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+interviewSlotSchema.index({ opportunityId: 1, startsAt: 1 });
+
+export default mongoose.model('InterviewSlot', interviewSlotSchema);
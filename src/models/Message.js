@@ -1,13 +1,29 @@
 import mongoose from 'mongoose';
 
+function isApplicationMessage() {
+  return this.type !== 'saved_search_alert';
+}
+
 const messageSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
-    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    // Saved-search alerts are not tied to a single application/opportunity
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: isApplicationMessage },
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: isApplicationMessage },
+    savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+    opportunityIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity' }],
     type: {
       type: String,
-      enum: ['payment_reminder', 'completion_reminder', 'offer', 'status_update'],
+      enum: [
+        'payment_reminder',
+        'completion_reminder',
+        'offer',
+        'status_update',
+        'saved_search_alert',
+        'interview_invite',
+        'interview_update',
+        'interview_reminder',
+      ],
       default: 'completion_reminder',
     },
     subject: { type: String, required: true },
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Offer letter issued to an accepted applicant. The letter text is rendered once at issue time and
+// kept, so the PDF always matches what the student was sent.
+const offerSchema = new mongoose.Schema(
+  {
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    startDate: { type: Date, required: true },
+    stipend: {
+      amount: { type: Number, min: 0, default: 0 }, // 0 = unpaid
+      currency: { type: String, default: 'KES' },
+      period: { type: String, enum: ['month', 'week', 'total'], default: 'month' },
+    },
+    supervisor: {
+      name: { type: String, required: true, trim: true },
+      title: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
+    responseDeadline: { type: Date, required: true },
+    letterText: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'lapsed', 'withdrawn'],
+      default: 'pending',
+    },
+    respondedAt: { type: Date },
+    declineReason: { type: String, maxlength: 2000 },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+offerSchema.index({ applicationId: 1, createdAt: -1 });
+offerSchema.index({ status: 1, responseDeadline: 1 });
+// At most one open offer per application
+offerSchema.index({ applicationId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_offer' });
+
+export default mongoose.model('Offer', offerSchema);
@@ -1,21 +1,88 @@
 import mongoose from 'mongoose';
 
+const questionSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true },
+  type: { type: String, enum: ['short_answer', 'multiple_choice', 'yes_no', 'number', 'file'], required: true },
+  required: { type: Boolean, default: false },
+  options: [{ type: String }], // multiple_choice only
+  allowMultiple: { type: Boolean, default: false }, // multiple_choice only
+  maxLength: { type: Number }, // short_answer only
+  min: { type: Number }, // number only
+  max: { type: Number }, // number only
+});
+
+// Review rubric criterion; reviewers score 0..maxScore and the weights set each criterion's share of the total
+const rubricCriterionSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  weight: { type: Number, required: true, min: 0.01 },
+  maxScore: { type: Number, default: 5, min: 1 },
+});
+
 const opportunitySchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
     company: { type: String, required: true },
     companyLogo: { type: String },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' },
+    externalRef: { type: String, trim: true }, // partner's own id; bulk import upserts on company + externalRef
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     type: { type: String, enum: ['internship', 'attachment'], required: true },
     description: { type: String, required: true },
     requirements: [{ type: String }],
-    location: { type: String },
+    questions: [questionSchema], // custom screening questions answered when applying
+    rubric: [rubricCriterionSchema], // criteria reviewers score applications against; staff-only, left out of public responses
+    eligibility: {
+      roles: [{ type: String, enum: ['student', 'graduate'] }], // empty = everyone
+      minYearOfStudy: { type: Number, min: 1 },
+      maxYearOfStudy: { type: Number, min: 1 },
+      fieldsOfStudy: [{ type: String }],
+      graduationYearFrom: { type: Number },
+      graduationYearTo: { type: Number },
+    },
+    location: { type: String }, // display string, e.g. "Nairobi / Mombasa"
+    locations: [
+      {
+        _id: false,
+        county: { type: String, required: true },
+        town: { type: String },
+      },
+    ],
+    workMode: { type: String, enum: ['onsite', 'hybrid', 'remote'], default: 'onsite' },
     duration: { type: String },
     category: { type: String },
     applicationFee: { type: Number, default: 500 },
     deadline: { type: Date },
+    gracePeriodHours: { type: Number, min: 0 }, // pending_payment applicants may still pay this long after the deadline
+    positions: { type: Number, min: 1 }, // unset = unlimited
+    acceptedCount: { type: Number, default: 0 }, // kept in sync with accepted applications
+    waitlistEnabled: { type: Boolean, default: false }, // when filled, freed positions go to the next shortlisted applicant (admin promotes) instead of reopening
+    applicationCount: { type: Number, default: 0 }, // incremented on apply, decremented on withdraw; drives sort=most_applied
+    saveCount: { type: Number, default: 0 }, // users who saved it; with applicationCount drives popular recommendations
     isActive: { type: Boolean, default: true },
+    isDraft: { type: Boolean, default: false }, // drafts are inactive and only visible to managers
+    publishAt: { type: Date }, // drafts with publishAt are published by the scheduler at that time
+    publishedAt: { type: Date },
+    closedAt: { type: Date },
+    closedReason: { type: String, enum: ['deadline', 'filled', 'manual', null] },
   },
   { timestamps: true }
 );
 
+opportunitySchema.index({ companyId: 1, createdAt: -1 });
+opportunitySchema.index({ isActive: 1, deadline: 1 });
+opportunitySchema.index({ isDraft: 1, publishAt: 1 });
+opportunitySchema.index({ applicationCount: -1, _id: -1 });
+opportunitySchema.index({ 'locations.county': 1 });
+opportunitySchema.index({ 'locations.town': 1 });
+opportunitySchema.index(
+  { company: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: 'string' } } }
+);
+// Weighted full-text search: title matches rank above company, company above description
+opportunitySchema.index(
+  { title: 'text', company: 'text', description: 'text' },
+  { name: 'opportunity_text', weights: { title: 10, company: 5, description: 1 } }
+);
+
 export default mongoose.model('Opportunity', opportunitySchema);
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Funnel events for analytics. dedupeKey makes repeated events (same visitor viewing twice in a day,
+// a webhook retried for the same payment) collapse into one document.
+const opportunityEventSchema = new mongoose.Schema(
+  {
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    type: {
+      type: String,
+      enum: ['view', 'save', 'unsave', 'start', 'submit', 'accept'],
+      required: true,
+    },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application' },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC), for daily series
+    dedupeKey: { type: String, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+opportunityEventSchema.index({ dedupeKey: 1 }, { unique: true });
+opportunityEventSchema.index({ opportunityId: 1, type: 1, createdAt: 1 });
+opportunityEventSchema.index({ applicationId: 1, type: 1 });
+
+export default mongoose.model('OpportunityEvent', opportunityEventSchema);
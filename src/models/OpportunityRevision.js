@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+const opportunityRevisionSchema = new mongoose.Schema(
+  {
+    opportunityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity', required: true },
+    version: { type: Number, required: true },
+    action: {
+      type: String,
+      enum: ['baseline', 'create', 'update', 'close', 'restore', 'import', 'publish'],
+      required: true,
+    },
+    changes: [changeSchema],
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // tracked fields after this revision
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset for system changes (scheduler)
+    actorRole: { type: String },
+    restoredFromVersion: { type: Number },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+opportunityRevisionSchema.index({ opportunityId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('OpportunityRevision', opportunityRevisionSchema);
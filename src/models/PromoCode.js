@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: { type: String, enum: ['percent', 'fixed'], required: true },
+    amount: { type: Number, required: true, min: 0 }, // percent (1-100) or KES off the fee
+    maxUses: { type: Number, min: 1 }, // unset = unlimited
+    usedCount: { type: Number, default: 0 }, // applications currently holding the code
+    expiresAt: { type: Date },
+    // Scope: empty lists mean any opportunity / category / email
+    opportunityIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity' }],
+    categories: [{ type: String, trim: true }],
+    emailDomains: [{ type: String, lowercase: true, trim: true }], // e.g. uonbi.ac.ke (subdomains match too)
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+promoCodeSchema.index({ code: 1 }, { unique: true });
+
+export default mongoose.model('PromoCode', promoCodeSchema);
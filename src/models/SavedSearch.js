@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    filters: {
+      category: { type: String },
+      location: { type: String },
+      type: { type: String, enum: ['internship', 'attachment'] },
+      duration: { type: String },
+      search: { type: String },
+      county: { type: String }, // comma-separated, as in the listing query
+      workMode: { type: String },
+      near: { type: String },
+      radiusKm: { type: String },
+    },
+    frequency: { type: String, enum: ['instant', 'daily', 'weekly'], default: 'daily' },
+    isActive: { type: Boolean, default: true },
+    lastAlertAt: { type: Date, default: Date.now }, // only opportunities created after this are alerted
+    unsubscribeToken: { type: String, default: () => crypto.randomBytes(24).toString('hex') },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, isActive: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
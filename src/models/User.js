@@ -10,10 +10,15 @@ const userSchema = new mongoose.Schema(
     googleId: { type: String, sparse: true },
     avatar: { type: String },
     cvUrl: { type: String },
+    institution: { type: String, trim: true },
+    fieldOfStudy: { type: String, trim: true },
+    yearOfStudy: { type: Number, min: 1, max: 7 },
+    graduationYear: { type: Number }, // actual or expected
     paystackAuthorizationCode: { type: String },
     paystackCardLast4: { type: String },
     paystackCardType: { type: String },
-    role: { type: String, enum: ['student', 'graduate', 'admin'], default: 'student' },
+    role: { type: String, enum: ['student', 'graduate', 'employer', 'admin'], default: 'student' },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' }, // set for employer accounts
     emailVerified: { type: Boolean, default: false },
     emailOTP: { type: String },
     emailOTPExpires: { type: Date },
@@ -1,10 +1,14 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import Application from '../models/Application.js';
 import Opportunity from '../models/Opportunity.js';
 import User from '../models/User.js';
 import Message from '../models/Message.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import PromoCode from '../models/PromoCode.js';
+import ApplicationReview from '../models/ApplicationReview.js';
+import Offer from '../models/Offer.js';
+import { protect, adminOnly, employerOrAdmin, canManageOpportunity, managedOpportunityFilter } from '../middleware/auth.js';
 import { uploadToCloudinary } from '../utils/cloudinary.js';
 import {
   sendApplicationReceivedEmail,
@@ -23,9 +27,45 @@ import {
   verifyWebhookSignature,
 } from '../utils/paystack.js';
 import { validateDocFile } from '../utils/fileValidation.js';
+import { isPastDeadline, canCompletePayment } from '../utils/deadlines.js';
+import { validateAnswers } from '../utils/applicationQuestions.js';
+import { evaluateEligibility } from '../utils/eligibility.js';
+import { APPLICATION_SORTS, resolveSort, paginate } from '../utils/pagination.js';
+import { recordApplicationEvent } from '../utils/analytics.js';
+import { logApplicationEvent, applicationTimeline, MAX_NOTE_LENGTH } from '../utils/applicationTimeline.js';
+import {
+  APPLICATION_STATUSES,
+  STATUS_TRANSITIONS,
+  actorRole,
+  transitionError,
+  transitionApplication,
+} from '../utils/applicationStatus.js';
+import {
+  normalizeCode,
+  amountDue,
+  baseFee,
+  discountFor,
+  promoCodeError,
+  reservePromoCode,
+  releasePromoCode,
+  promoSnapshot,
+} from '../utils/promoCodes.js';
+import { reservePosition, releasePosition, syncPositions, remainingPositions } from '../utils/positions.js';
+import { selectApplications, bulkUpdateApplications, MAX_BULK_MESSAGE_LENGTH } from '../utils/bulkApplications.js';
+import { emailQueueStats } from '../utils/emailQueue.js';
+import { validateOfferInput, issueOffer, respondToOffer, withdrawOffer, offerLetterPdf } from '../utils/offers.js';
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 12 } });
+
+// Group upload.any() files by field name (same shape upload.fields() produces)
+function groupFilesByField(files = []) {
+  const grouped = {};
+  for (const file of files) {
+    (grouped[file.fieldname] ||= []).push(file);
+  }
+  return grouped;
+}
 
 // List my applications (frontend calls GET /applications)
 router.get('/', protect, async (req, res) => {
@@ -40,23 +80,46 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// Admin: list all applications
-router.get('/admin/all', protect, adminOnly, async (req, res) => {
+// Admin: list all applications; employers see only applicants to their company's opportunities.
+// Pagination: ?cursor= (from nextCursor) or ?page=; ?sort=newest|oldest|score
+router.get('/admin/all', protect, employerOrAdmin, async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
-    const skip = (page - 1) * limit;
-    const [applications, total] = await Promise.all([
-      Application.find({})
-        .populate('opportunityId', 'title company type')
-        .populate('userId', 'name email')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Application.countDocuments({}),
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      const owned = await Opportunity.find(managedOpportunityFilter(req.user)).distinct('_id');
+      filter.opportunityId = { $in: owned };
+    }
+    if (req.query.opportunityId) {
+      const requested = String(req.query.opportunityId);
+      if (filter.opportunityId && !filter.opportunityId.$in.some((id) => id.toString() === requested)) {
+        return res.status(403).json({ message: 'Not authorized to view applicants for this opportunity' });
+      }
+      if (!mongoose.isValidObjectId(requested)) return res.status(400).json({ message: 'Invalid opportunityId' });
+      filter.opportunityId = new mongoose.Types.ObjectId(requested);
+    }
+    // ?disagreement=true: applications whose reviewers' totals are far apart
+    if (req.query.disagreement === 'true') filter.reviewDisagreement = true;
+    const { name: sortName, sort } = resolveSort(req.query.sort, APPLICATION_SORTS);
+    const [result, total] = await Promise.all([
+      paginate(Application, { filter, sortName, sort, cursor: req.query.cursor, page, limit }),
+      Application.countDocuments(filter),
+    ]);
+    if (result.error) return res.status(400).json({ message: result.error });
+    const applications = await Application.populate(result.items, [
+      { path: 'opportunityId', select: 'title company type' },
+      { path: 'userId', select: 'name email' },
     ]);
-    res.json({ applications, total, page, pages: Math.ceil(total / limit) });
+    res.json({
+      applications,
+      total,
+      page: result.page,
+      pages: Math.ceil(total / limit),
+      sort: sortName,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -77,7 +140,7 @@ router.post('/admin/:id/refund', protect, adminOnly, async (req, res) => {
       .populate('opportunityId')
       .populate('userId', 'name email');
     if (!application) return res.status(404).json({ message: 'Application not found or already refunded' });
-    if (application.status !== 'submitted' && application.status !== 'under_review' && application.status !== 'shortlisted' && application.status !== 'rejected' && application.status !== 'accepted') {
+    if (application.status !== 'submitted' && application.status !== 'under_review' && application.status !== 'shortlisted' && application.status !== 'rejected' && application.status !== 'accepted' && application.status !== 'declined') {
       return res.status(400).json({ message: 'Cannot refund application that has not been paid' });
     }
     const txId = application.paymentTransactionId;
@@ -88,6 +151,14 @@ router.post('/admin/:id/refund', protect, adminOnly, async (req, res) => {
     const amount = application.amountPaid ?? application.opportunityId?.applicationFee ?? 350;
     await refundTransaction(txId, { amount, currency: 'KES', reason: reason || `Refund for application ${application._id}` });
     await Application.findByIdAndUpdate(application._id, { $set: { refundAmount: amount } });
+    await logApplicationEvent({
+      application,
+      type: 'refund_initiated',
+      actor: req.user,
+      internalNote: req.body.internalNote,
+      externalNote: req.body.externalNote,
+      data: { amount, reason, channel: 'original_payment_method' },
+    });
     res.json({ message: 'Refund initiated', refundAmount: amount });
   } catch (err) {
     res.status(400).json({ message: err.message || 'Refund failed' });
@@ -136,6 +207,7 @@ router.post('/admin/:id/send-reminder', protect, adminOnly, async (req, res) =>
     });
 
     await message.save();
+    await logApplicationEvent({ application, type: 'reminder_sent', actor: req.user, data: { messageId: message._id } });
 
     res.json({
       message: 'Reminder sent successfully',
@@ -174,6 +246,12 @@ router.post('/admin/transfer-mpesa', protect, adminOnly, async (req, res) => {
         app.refundAmount = Number(amount);
         app.refundTransferCode = transfer.transfer_code || transfer.id;
         await app.save();
+        await logApplicationEvent({
+          application: app,
+          type: 'refund_initiated',
+          actor: req.user,
+          data: { amount: Number(amount), reason: reason || 'Refund', channel: 'mpesa', transferCode: app.refundTransferCode },
+        });
       }
     }
     res.json({
@@ -189,20 +267,41 @@ router.post('/admin/transfer-mpesa', protect, adminOnly, async (req, res) => {
 // Admin: update application status (e.g. after reviewing documents)
 router.patch('/admin/:id/status', protect, adminOnly, async (req, res) => {
   try {
-    const allowed = ['submitted', 'under_review', 'shortlisted', 'rejected', 'accepted'];
-    const { status } = req.body;
-    if (!status || !allowed.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status. Use: submitted, under_review, shortlisted, rejected, accepted' });
-    }
-    const application = await Application.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    )
+    const { status, reason, internalNote, externalNote } = req.body;
+    if (!status || !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Use: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+    const current = await Application.findById(req.params.id).select('status opportunityId userId').lean();
+    if (!current) return res.status(404).json({ message: 'Application not found' });
+    const illegal = transitionError(current.status, status, actorRole(req.user, current), { reason });
+    if (illegal) return res.status(illegal.status).json(illegal);
+    const opportunity = await Opportunity.findById(current.opportunityId).select('positions acceptedCount waitlistEnabled').lean();
+    const becomingAccepted = status === 'accepted';
+    if (becomingAccepted && opportunity && !(await reservePosition(opportunity._id))) {
+      return res.status(409).json({
+        message: opportunity.waitlistEnabled
+          ? 'All positions are filled. Keep the applicant shortlisted to promote them if a position frees up.'
+          : 'All positions are filled',
+      });
+    }
+    let result;
+    try {
+      result = await transitionApplication(current, status, { actor: req.user, reason, internalNote, externalNote });
+    } catch (err) {
+      if (becomingAccepted && opportunity) await releasePosition(opportunity._id);
+      throw err;
+    }
+    if (result.error) {
+      if (becomingAccepted && opportunity) await releasePosition(opportunity._id);
+      return res.status(result.error.status).json(result.error);
+    }
+    if (opportunity && (becomingAccepted || current.status === 'accepted')) {
+      await syncPositions(opportunity._id, req.user);
+    }
+    const application = await Application.findById(current._id)
       .populate('opportunityId', 'title company type')
       .populate('userId', 'name email')
       .lean();
-    if (!application) return res.status(404).json({ message: 'Application not found' });
     if (application.userId?.email && application.opportunityId?.title) {
       void sendApplicationStatusChangedEmail({
         to: application.userId.email,
@@ -217,6 +316,157 @@ router.patch('/admin/:id/status', protect, adminOnly, async (req, res) => {
   }
 });
 
+// Admin: bulk status change and/or message.
+// Body: { applicationIds } or { filter: { opportunityId, status } }, plus status, reason, message, subject, internalNote, dryRun.
+// Returns a per-application report; emails are queued and sent at a throttled rate.
+router.post('/admin/bulk', protect, adminOnly, async (req, res) => {
+  try {
+    const { applicationIds, filter, status, reason, message, subject, internalNote } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    if (!status && !message) {
+      return res.status(400).json({ message: 'Provide a status, a message, or both' });
+    }
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Use: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+    if (message !== undefined && (typeof message !== 'string' || !message.trim() || message.length > MAX_BULK_MESSAGE_LENGTH)) {
+      return res.status(400).json({ message: `message must be non-empty text of at most ${MAX_BULK_MESSAGE_LENGTH} characters` });
+    }
+    if (subject !== undefined && (typeof subject !== 'string' || subject.length > 200)) {
+      return res.status(400).json({ message: 'subject must be text of at most 200 characters' });
+    }
+    if (applicationIds !== undefined && filter !== undefined) {
+      return res.status(400).json({ message: 'Use either applicationIds or filter, not both' });
+    }
+    if (applicationIds !== undefined) {
+      if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+        return res.status(400).json({ message: 'applicationIds must be a non-empty array' });
+      }
+      if (!applicationIds.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'applicationIds contains an invalid id' });
+      }
+    } else if (!filter || !mongoose.isValidObjectId(filter.opportunityId)) {
+      return res.status(400).json({ message: 'Provide applicationIds or filter.opportunityId' });
+    } else if (filter.status !== undefined && !APPLICATION_STATUSES.includes(filter.status)) {
+      return res.status(400).json({ message: `Invalid filter.status. Use: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+
+    const selection = await selectApplications({ applicationIds, filter });
+    if (selection.error) return res.status(400).json({ message: selection.error });
+    const report = await bulkUpdateApplications(selection.applications, {
+      status,
+      reason,
+      message: message?.trim(),
+      subject: subject?.trim() || undefined,
+      internalNote,
+      actor: req.user,
+      dryRun,
+    });
+    for (const id of selection.missingIds) {
+      report.items.push({ applicationId: id, outcome: 'failed', reason: 'Application not found' });
+      report.summary.failed = (report.summary.failed || 0) + 1;
+      report.total++;
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: progress of the throttled email queue used by bulk actions
+router.get('/admin/bulk/email-queue', protect, adminOnly, (req, res) => {
+  res.json(emailQueueStats());
+});
+
+// Admin: the status transition table (legal moves, who may make them, which need a reason)
+router.get('/admin/status-transitions', protect, adminOnly, (req, res) => {
+  res.json({ statuses: APPLICATION_STATUSES, transitions: STATUS_TRANSITIONS });
+});
+
+// Admin: add a note to an application's timeline (body: { internalNote, externalNote }).
+// Only notes with externalNote are shown to the applicant.
+router.post('/admin/:id/notes', protect, adminOnly, async (req, res) => {
+  try {
+    const { internalNote, externalNote } = req.body;
+    const hasText = (v) => typeof v === 'string' && v.trim().length > 0;
+    if (!hasText(internalNote) && !hasText(externalNote)) {
+      return res.status(400).json({ message: 'internalNote or externalNote is required' });
+    }
+    if ([internalNote, externalNote].some((v) => typeof v === 'string' && v.length > MAX_NOTE_LENGTH)) {
+      return res.status(400).json({ message: `Notes cannot exceed ${MAX_NOTE_LENGTH} characters` });
+    }
+    const application = await Application.findById(req.params.id).select('_id').lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const event = await logApplicationEvent({ application, type: 'note', actor: req.user, internalNote, externalNote });
+    if (!event) return res.status(500).json({ message: 'Failed to save note' });
+    res.status(201).json(event);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: waitlist for an opportunity — its shortlisted applicants in promotion order (earliest shortlisted first)
+router.get('/admin/waitlist/:opportunityId', protect, adminOnly, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.opportunityId).select('title positions acceptedCount waitlistEnabled').lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    const waitlist = await Application.find({ opportunityId: opportunity._id, status: 'shortlisted' })
+      .populate('userId', 'name email')
+      .sort({ shortlistedAt: 1, createdAt: 1 })
+      .lean();
+    res.json({
+      opportunity: { ...opportunity, remainingPositions: remainingPositions(opportunity) },
+      waitlist: waitlist.map((a, i) => ({ ...a, waitlistPosition: i + 1 })),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: promote the next shortlisted applicant to accepted when a slot is free (e.g. an acceptance fell through)
+router.post('/admin/waitlist/:opportunityId/promote', protect, adminOnly, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.opportunityId).select('title positions acceptedCount waitlistEnabled').lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!opportunity.waitlistEnabled) return res.status(400).json({ message: 'Waitlist is not enabled for this opportunity' });
+    const next = await Application.findOne({ opportunityId: opportunity._id, status: 'shortlisted' })
+      .sort({ shortlistedAt: 1, createdAt: 1 })
+      .select('status opportunityId userId')
+      .lean();
+    if (!next) return res.status(404).json({ message: 'No shortlisted applicants to promote' });
+    if (!(await reservePosition(opportunity._id))) {
+      return res.status(409).json({ message: 'All positions are filled' });
+    }
+    let result;
+    try {
+      result = await transitionApplication(next, 'accepted', { actor: req.user, data: { promotedFromWaitlist: true } });
+    } catch (err) {
+      await releasePosition(opportunity._id);
+      throw err;
+    }
+    if (result.error) {
+      await releasePosition(opportunity._id);
+      return res.status(409).json({ message: 'Waitlist changed, please try again' });
+    }
+    const synced = await syncPositions(opportunity._id, req.user);
+    const application = await Application.findById(next._id)
+      .populate('opportunityId', 'title company type')
+      .populate('userId', 'name email')
+      .lean();
+    if (application.userId?.email && application.opportunityId?.title) {
+      void sendApplicationStatusChangedEmail({
+        to: application.userId.email,
+        name: application.userId.name,
+        opportunityTitle: application.opportunityId.title,
+        status: 'accepted',
+      });
+    }
+    res.json({ application, remainingPositions: remainingPositions(synced) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 router.get('/my', protect, async (req, res) => {
   try {
     const apps = await Application.find({ userId: req.user._id })
@@ -235,20 +485,84 @@ router.get('/saved', protect, async (req, res) => {
     const user = await User.findById(req.user._id).select('savedOpportunities').lean();
     const ids = user?.savedOpportunities || [];
     if (ids.length === 0) return res.json([]);
-    const opportunities = await Opportunity.find({ _id: { $in: ids }, isActive: true }).lean();
+    const opportunities = await Opportunity.find({ _id: { $in: ids }, isActive: true }).select('-rubric').lean();
     res.json(opportunities);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// Helper: submit an application whose payment has completed (actor is null when confirmed by the webhook).
+// Returns null when another path (webhook vs verify-payment) already submitted it.
+async function submitPaidApplication(application, actor, { set, payment }) {
+  const { application: submitted } = await transitionApplication(application, 'submitted', { actor, set });
+  if (!submitted) return null;
+  await logApplicationEvent({ application: submitted, type: 'payment_received', actor, data: payment });
+  return submitted;
+}
+
+// Helper: a Paystack payment below what is due now (e.g. an old discounted link paid after the promo code
+// was removed) does not submit the application; it is flagged on the timeline for staff to resolve.
+// Returns true when the payment was short.
+async function flagUnderpayment(application, actor, payment) {
+  if (payment.amount == null) return false;
+  const opportunity = await Opportunity.findById(application.opportunityId).select('applicationFee').lean();
+  const due = amountDue(application, opportunity);
+  if (payment.amount >= due) return false;
+  console.warn(`[Paystack] Underpayment for application ${application._id}: paid ${payment.amount}, due ${due}`);
+  await logApplicationEvent({ application, type: 'payment_underpaid', actor, visibility: 'internal', data: { ...payment, due } });
+  return true;
+}
+
+// Helper: a charge that settles after the application left pending_payment (e.g. a payment started before
+// a 100% promo code submitted it). A waived application takes the charge as its payment so staff can refund
+// it; either way it is flagged on the timeline.
+async function recordLatePayment(application, { id, reference, amount, channel }) {
+  const transactionId = String(id ?? reference);
+  const amountPaid = amount != null ? Number(amount) / 100 : undefined;
+  const recorded = await Application.findOneAndUpdate(
+    { _id: application._id, paymentTransactionId: null },
+    { $set: { paymentTransactionId: transactionId, amountPaid } },
+    { new: true }
+  );
+  console.warn(`[Paystack] Payment ${reference} settled for application ${application._id} in status ${application.status}`);
+  await logApplicationEvent({
+    application,
+    type: 'payment_unmatched',
+    visibility: 'internal',
+    data: { amount: amountPaid, reference, channel, status: application.status, recorded: !!recorded },
+  });
+}
+
+// Helper: confirmation to the applicant and notice to the admin once an application is submitted
+async function sendSubmittedEmails(application) {
+  const [user, opp] = await Promise.all([
+    application.userId ? User.findById(application.userId).select('name email').lean() : null,
+    application.opportunityId ? Opportunity.findById(application.opportunityId).select('title').lean() : null,
+  ]);
+  if (!user?.email || !opp?.title) return;
+  void sendApplicationReceivedEmail({
+    to: user.email,
+    name: user.name,
+    opportunityTitle: opp.title,
+  });
+  if (process.env.ADMIN_EMAIL) {
+    void sendAdminNewApplicationEmail({
+      to: process.env.ADMIN_EMAIL,
+      opportunityTitle: opp.title,
+      applicantName: user.name || 'Applicant',
+      applicantEmail: user.email,
+    });
+  }
+}
+
 // Helper: build Paystack callback URL and init payment for an application
 async function getPaymentLink(application, opportunity, user) {
   const baseUrl = process.env.PAYSTACK_CALLBACK_URL || `${(process.env.FRONTEND_URL || '').replace(/\/$/, '')}/app/applications`;
   const callbackUrl = `${baseUrl}?payment=done&reference=APP-${application._id}`;
   const cancelUrl = `${baseUrl.split('?')[0]}?cancelled=1`;
   const reference = `APP-${application._id}-${Date.now()}`;
-  const amount = opportunity?.applicationFee ?? 350;
+  const amount = amountDue(application, opportunity);
   console.log('[Paystack] Initializing:', { reference, amount, callbackUrl: callbackUrl.slice(0, 60) + '...', email: user.email?.slice(0, 3) + '***' });
   const { paymentLink } = await initializeTransaction({
     reference,
@@ -261,32 +575,39 @@ async function getPaymentLink(application, opportunity, user) {
   return paymentLink;
 }
 
-// Create application: upload resume (and recommendation letter for attachment), then return Paystack payment link
+// Create application: upload resume (and recommendation letter for attachment), answer any custom
+// questions (body.answers as JSON keyed by question id, files as answer_<questionId>), then return Paystack payment link
 router.post(
   '/',
   protect,
-  upload.fields([
-    { name: 'resume', maxCount: 1 },
-    { name: 'recommendationLetter', maxCount: 1 },
-  ]),
+  upload.any(),
   async (req, res) => {
     try {
       const { opportunityId, coverLetter } = req.body;
+      const files = groupFilesByField(req.files);
       const opportunity = await Opportunity.findById(opportunityId);
       if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
       if (!opportunity.isActive) return res.status(400).json({ message: 'Opportunity is closed' });
+      if (isPastDeadline(opportunity)) return res.status(400).json({ message: 'The application deadline has passed' });
+      const eligibility = evaluateEligibility(opportunity.eligibility, req.user);
+      if (!eligibility.eligible) {
+        return res.status(403).json({
+          message: `You are not eligible for this opportunity: ${eligibility.failures.map((f) => f.message).join('; ')}`,
+          failedRules: eligibility.failures,
+        });
+      }
 
       const existing = await Application.findOne({ userId: req.user._id, opportunityId });
       if (existing && existing.status !== 'pending_payment')
         return res.status(400).json({ message: 'You have already applied' });
 
-      const resumeFile = req.files?.resume?.[0];
+      const resumeFile = files.resume?.[0];
       if (!resumeFile) return res.status(400).json({ message: 'Resume is required' });
       const resumeCheck = validateDocFile(resumeFile);
       if (!resumeCheck.valid) return res.status(400).json({ message: resumeCheck.message });
 
       const isAttachment = opportunity.type === 'attachment';
-      const recLetterFile = req.files?.recommendationLetter?.[0];
+      const recLetterFile = files.recommendationLetter?.[0];
       if (isAttachment && !recLetterFile)
         return res.status(400).json({ message: 'Recommendation letter is required for attachments' });
       if (recLetterFile) {
@@ -294,6 +615,11 @@ router.post(
         if (!recCheck.valid) return res.status(400).json({ message: recCheck.message });
       }
 
+      const { errors: answerErrors, answers, fileUploads } = validateAnswers(opportunity.questions, req.body.answers, files);
+      if (answerErrors.length > 0) {
+        return res.status(400).json({ message: 'Please answer all required questions correctly', errors: answerErrors });
+      }
+
       const resumeUrl = await uploadToCloudinary(resumeFile.buffer, 'internship-platform/resumes');
       let recommendationLetterUrl = null;
       if (recLetterFile)
@@ -302,11 +628,17 @@ router.post(
           'internship-platform/recommendations'
         );
 
+      for (const { question, file } of fileUploads) {
+        const fileUrl = await uploadToCloudinary(file.buffer, 'internship-platform/answers');
+        answers.push({ questionId: question._id, label: question.label, type: question.type, fileUrl });
+      }
+
       let application;
       if (existing && existing.status === 'pending_payment') {
         existing.resumeUrl = resumeUrl;
         existing.recommendationLetterUrl = recLetterFile ? recommendationLetterUrl : existing.recommendationLetterUrl;
         existing.coverLetter = coverLetter || existing.coverLetter;
+        existing.answers = answers;
         await existing.save();
         application = existing;
       } else {
@@ -316,8 +648,12 @@ router.post(
           resumeUrl,
           recommendationLetterUrl,
           coverLetter: coverLetter || undefined,
+          answers,
           status: 'pending_payment',
         });
+        await Opportunity.updateOne({ _id: opportunityId }, { $inc: { applicationCount: 1 } });
+        recordApplicationEvent('start', application);
+        await logApplicationEvent({ application, type: 'created', actor: req.user, toStatus: 'pending_payment' });
       }
 
       const paymentLink = await getPaymentLink(application, opportunity, req.user);
@@ -325,7 +661,7 @@ router.post(
         application,
         paymentLink,
         requiresPayment: true,
-        amount: opportunity.applicationFee ?? 350,
+        amount: amountDue(application, opportunity),
         message: 'Application saved. Complete payment via the link to finish.',
       });
     } catch (err) {
@@ -360,12 +696,14 @@ export async function paystackWebhookHandler(req, res) {
     const auth = data?.authorization;
     if (reference && reference.startsWith('APP-')) {
       const applicationId = reference.replace(/^APP-/, '').replace(/-\d+$/, '');
-      const application = await Application.findById(applicationId);
-      if (application && application.status === 'pending_payment') {
-        application.status = 'submitted';
-        application.paymentTransactionId = String(id ?? reference);
-        if (amount != null) application.amountPaid = Number(amount) / 100;
-        await application.save();
+      const pending = await Application.findById(applicationId);
+      if (pending && pending.status === 'pending_payment') {
+        const set = { paymentTransactionId: String(id ?? reference) };
+        if (amount != null) set.amountPaid = Number(amount) / 100;
+        const payment = { amount: set.amountPaid, reference, channel: data?.channel };
+        if (await flagUnderpayment(pending, null, payment)) return;
+        const application = await submitPaidApplication(pending, null, { set, payment });
+        if (!application) return;
         if (application.userId && auth?.authorization_code && auth?.reusable) {
           await User.findByIdAndUpdate(application.userId, {
             paystackAuthorizationCode: auth.authorization_code,
@@ -373,25 +711,9 @@ export async function paystackWebhookHandler(req, res) {
             paystackCardType: auth?.card_type || null,
           });
         }
-        const [user, opp] = await Promise.all([
-          application.userId ? User.findById(application.userId).select('name email').lean() : null,
-          application.opportunityId ? Opportunity.findById(application.opportunityId).select('title').lean() : null,
-        ]);
-        if (user?.email && opp?.title) {
-          void sendApplicationReceivedEmail({
-            to: user.email,
-            name: user.name,
-            opportunityTitle: opp.title,
-          });
-          if (process.env.ADMIN_EMAIL) {
-            void sendAdminNewApplicationEmail({
-              to: process.env.ADMIN_EMAIL,
-              opportunityTitle: opp.title,
-              applicantName: user.name || 'Applicant',
-              applicantEmail: user.email,
-            });
-          }
-        }
+        await sendSubmittedEmails(application);
+      } else if (pending && pending.status !== 'pending_payment' && String(pending.paymentTransactionId) !== String(id ?? reference)) {
+        await recordLatePayment(pending, { id, reference, amount, channel: data?.channel });
       }
     }
     return;
@@ -405,6 +727,7 @@ export async function paystackWebhookHandler(req, res) {
       if (app) {
         app.refundedAt = new Date();
         await app.save();
+        await logApplicationEvent({ application: app, type: 'refund_completed', data: { transferCode: String(transferCode) } });
       }
     }
   }
@@ -425,17 +748,20 @@ router.post('/verify-payment', protect, async (req, res) => {
       return res.json({ verified: false, message: 'Payment not completed' });
     }
     const applicationId = reference.replace(/^APP-/, '').replace(/-\d+$/, '');
-    const application = await Application.findOne({
+    const pending = await Application.findOne({
       _id: applicationId,
       userId: req.user._id,
       status: 'pending_payment',
     });
+    const tx = result.data || {};
+    const set = { paymentTransactionId: String(tx.id ?? tx.reference ?? reference) };
+    if (tx.amount != null) set.amountPaid = Number(tx.amount) / 100;
+    const payment = { amount: set.amountPaid, reference, channel: tx.channel };
+    if (pending && (await flagUnderpayment(pending, req.user, payment))) {
+      return res.json({ verified: false, message: 'The amount paid is less than the amount due. Please contact support.' });
+    }
+    const application = pending ? await submitPaidApplication(pending, req.user, { set, payment }) : null;
     if (application) {
-      const tx = result.data || {};
-      application.status = 'submitted';
-      application.paymentTransactionId = String(tx.id ?? tx.reference ?? reference);
-      if (tx.amount != null) application.amountPaid = Number(tx.amount) / 100;
-      await application.save();
       const auth = result.authorization || tx.authorization;
       if (auth?.authorization_code && auth?.reusable) {
         await User.findByIdAndUpdate(req.user._id, {
@@ -460,7 +786,17 @@ router.post('/:id/pay', protect, async (req, res) => {
       status: 'pending_payment',
     }).populate('opportunityId');
     if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (!canCompletePayment(application, application.opportunityId)) {
+      return res.status(400).json({ message: 'The application deadline has passed' });
+    }
     const paymentLink = await getPaymentLink(application, application.opportunityId, req.user);
+    await logApplicationEvent({
+      application,
+      type: 'payment_initiated',
+      actor: req.user,
+      visibility: 'internal',
+      data: { amount: amountDue(application, application.opportunityId), channel: 'payment_link' },
+    });
     res.json({
       paymentLink,
       message: 'Complete payment via the link to finish your application.',
@@ -471,6 +807,89 @@ router.post('/:id/pay', protect, async (req, res) => {
   }
 });
 
+// Apply a promo code to an unpaid application (body: { code }). A full waiver submits the application
+// immediately without going through Paystack.
+router.post('/:id/promo-code', protect, async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+    if (!code) return res.status(400).json({ message: 'Promo code is required' });
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: 'pending_payment',
+    });
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const opportunity = await Opportunity.findById(application.opportunityId).lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canCompletePayment(application, opportunity)) {
+      return res.status(400).json({ message: 'The application deadline has passed' });
+    }
+    const promo = await PromoCode.findOne({ code }).lean();
+    const error = promoCodeError(promo, { opportunity, user: req.user });
+    if (error) return res.status(400).json({ message: error });
+    const previousId = application.promoCode?.promoCodeId;
+    if (String(previousId) !== String(promo._id)) {
+      if (!(await reservePromoCode(promo._id))) {
+        return res.status(400).json({ message: 'Promo code has reached its usage limit' });
+      }
+      await releasePromoCode(previousId);
+    }
+    application.promoCode = promoSnapshot(promo);
+    const fee = baseFee(opportunity);
+    const due = amountDue(application, opportunity);
+    await application.save();
+    await logApplicationEvent({
+      application,
+      type: 'promo_code_applied',
+      actor: req.user,
+      data: { code: promo.code, discount: discountFor(application.promoCode, fee) },
+    });
+    let current = application;
+    if (due === 0) {
+      const result = await transitionApplication(application, 'submitted', {
+        actor: req.user,
+        set: { amountPaid: 0 },
+        data: { feeWaived: true },
+      });
+      if (result.error) return res.status(result.error.status).json(result.error);
+      current = result.application;
+      await sendSubmittedEmails(current);
+    }
+    res.json({
+      application: current,
+      fee,
+      discount: discountFor(application.promoCode, fee),
+      amount: due,
+      waived: due === 0,
+      message: due === 0 ? 'Fee waived. Your application has been submitted.' : 'Promo code applied. Complete payment to finish.',
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Remove the promo code from an unpaid application
+router.delete('/:id/promo-code', protect, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: 'pending_payment',
+    });
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (!application.promoCode?.promoCodeId) return res.status(400).json({ message: 'No promo code applied' });
+    const removedCode = application.promoCode.code;
+    await releasePromoCode(application.promoCode.promoCodeId);
+    application.promoCode = undefined;
+    await application.save();
+    await logApplicationEvent({ application, type: 'promo_code_removed', actor: req.user, data: { code: removedCode } });
+    const opportunity = await Opportunity.findById(application.opportunityId).select('applicationFee').lean();
+    res.json({ application, amount: amountDue(application, opportunity) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Charge with saved card (returning customer)
 router.post('/:id/charge-saved-card', protect, async (req, res) => {
   try {
@@ -485,7 +904,10 @@ router.post('/:id/charge-saved-card', protect, async (req, res) => {
     }).populate('opportunityId');
     if (!application) return res.status(404).json({ message: 'Application not found' });
     const opp = application.opportunityId;
-    const amount = opp?.applicationFee ?? 350;
+    if (!canCompletePayment(application, opp)) {
+      return res.status(400).json({ message: 'The application deadline has passed' });
+    }
+    const amount = amountDue(application, opp);
     const reference = `APP-${application._id}-${Date.now()}`;
     const result = await chargeAuthorization({
       email: user.email,
@@ -495,11 +917,12 @@ router.post('/:id/charge-saved-card', protect, async (req, res) => {
       currency: 'KES',
       metadata: { customer_name: user.name || 'Applicant' },
     });
+    await logApplicationEvent({ application, type: 'payment_initiated', actor: req.user, visibility: 'internal', data: { amount, reference, channel: 'saved_card' } });
     if (result.status === 'success') {
-      application.status = 'submitted';
-      application.paymentTransactionId = result.reference;
-      application.amountPaid = amount;
-      await application.save();
+      await submitPaidApplication(application, req.user, {
+        set: { paymentTransactionId: result.reference, amountPaid: amount },
+        payment: { amount, reference: result.reference, channel: 'saved_card' },
+      });
     }
     res.json({
       reference: result.reference,
@@ -525,15 +948,25 @@ router.post('/:id/charge-mpesa', protect, async (req, res) => {
     }).populate('opportunityId');
     if (!application) return res.status(404).json({ message: 'Application not found' });
     const opp = application.opportunityId;
+    if (!canCompletePayment(application, opp)) {
+      return res.status(400).json({ message: 'The application deadline has passed' });
+    }
     const reference = `APP-${application._id}-${Date.now()}`;
     const result = await chargeMpesa({
       reference,
-      amount: opp?.applicationFee ?? 350,
+      amount: amountDue(application, opp),
       currency: 'KES',
       email: req.user.email,
       phone: phone.trim(),
       metadata: { customer_name: req.user.name || 'Applicant' },
     });
+    await logApplicationEvent({
+      application,
+      type: 'payment_initiated',
+      actor: req.user,
+      visibility: 'internal',
+      data: { amount: amountDue(application, opp), reference, channel: 'mpesa' },
+    });
     res.json({
       reference: result.reference,
       status: result.status,
@@ -545,6 +978,124 @@ router.post('/:id/charge-mpesa', protect, async (req, res) => {
   }
 });
 
+// Timeline of an application. Admins see the full history including internal notes; the
+// opportunity's employers see its progress without internal notes or payments; applicants see external events only.
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).select('userId opportunityId status').lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const full = req.user.role === 'admin';
+    let employer = false;
+    if (req.user.role === 'employer') {
+      const opportunity = await Opportunity.findById(application.opportunityId).select('companyId').lean();
+      employer = !!opportunity && canManageOpportunity(req.user, opportunity);
+    }
+    if (!full && !employer && String(application.userId) !== String(req.user._id)) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    const events = await applicationTimeline(application._id, { full, employer });
+    res.json({ applicationId: application._id, status: application.status, events });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: issue an offer letter for an accepted application. Body: { startDate, responseDeadline,
+// stipend: { amount, period }, supervisor: { name, title, email }, template } (template is optional,
+// with {{placeholders}}; see OFFER_PLACEHOLDERS). The student gets a message and an email with the PDF.
+router.post('/admin/:id/offer', protect, adminOnly, async (req, res) => {
+  try {
+    const { data, error } = validateOfferInput(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const application = await Application.findById(req.params.id).select('status opportunityId userId').lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const result = await issueOffer(application, data, req.user);
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    res.status(201).json(result.offer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: withdraw the open offer (e.g. to correct it and issue a new one)
+router.post('/admin/:id/offer/withdraw', protect, adminOnly, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).select('status opportunityId userId').lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const result = await withdrawOffer(application, req.user);
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    res.json(result.offer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Helper: the application and its latest offer, if the user is its owner, an admin or the managing employer
+async function loadOffer(req) {
+  const application = await Application.findById(req.params.id).select('userId opportunityId status').lean();
+  if (!application) return {};
+  let allowed = req.user.role === 'admin' || String(application.userId) === String(req.user._id);
+  if (!allowed && req.user.role === 'employer') {
+    const opportunity = await Opportunity.findById(application.opportunityId).select('companyId').lean();
+    allowed = !!opportunity && canManageOpportunity(req.user, opportunity);
+  }
+  if (!allowed) return {};
+  const offer = await Offer.findOne({ applicationId: application._id }).sort({ createdAt: -1 }).lean();
+  return { application, offer };
+}
+
+// The latest offer on an application
+router.get('/:id/offer', protect, async (req, res) => {
+  try {
+    const { application, offer } = await loadOffer(req);
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (!offer) return res.status(404).json({ message: 'No offer found for this application' });
+    res.json(offer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The latest offer letter as a PDF
+router.get('/:id/offer/letter.pdf', protect, async (req, res) => {
+  try {
+    const { application, offer } = await loadOffer(req);
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (!offer) return res.status(404).json({ message: 'No offer found for this application' });
+    const opportunity = await Opportunity.findById(offer.opportunityId).select('title').lean();
+    res.set('Content-Disposition', 'inline; filename="offer-letter.pdf"');
+    res.type('application/pdf').send(offerLetterPdf(offer, opportunity));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Student: accept or decline the open offer (body: { decision: 'accept' | 'decline', reason }).
+// Declining releases the place; the application moves to declined.
+router.post('/:id/offer/respond', protect, async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    if (decision !== 'accept' && decision !== 'decline') {
+      return res.status(400).json({ message: "decision must be 'accept' or 'decline'" });
+    }
+    if (reason != null && (typeof reason !== 'string' || reason.length > MAX_NOTE_LENGTH)) {
+      return res.status(400).json({ message: `reason must be text of at most ${MAX_NOTE_LENGTH} characters` });
+    }
+    const application = await Application.findOne({ _id: req.params.id, userId: req.user._id })
+      .select('status opportunityId userId')
+      .lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const result = await respondToOffer(application, decision, { reason: reason?.trim() || undefined, actor: req.user });
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    res.json({
+      offer: result.offer,
+      message: decision === 'accept' ? 'Offer accepted. Congratulations!' : 'Offer declined. Thank you for letting us know.',
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Frontend: get one application (own only)
 router.get('/:id', protect, async (req, res) => {
   try {
@@ -597,6 +1148,21 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(400).json({ message: 'Application cannot be withdrawn' });
     }
     await Application.findByIdAndDelete(application._id);
+    // The timeline is the audit trail (including any payment), so it outlives the application
+    await logApplicationEvent({
+      application,
+      type: 'application_withdrawn',
+      actor: req.user,
+      fromStatus: application.status,
+      data: application.amountPaid != null ? { amountPaid: application.amountPaid } : undefined,
+    });
+    await ApplicationReview.deleteMany({ applicationId: application._id });
+    // An unpaid application frees its promo code use
+    if (application.status === 'pending_payment') await releasePromoCode(application.promoCode?.promoCodeId);
+    await Opportunity.updateOne(
+      { _id: application.opportunityId, applicationCount: { $gt: 0 } },
+      { $inc: { applicationCount: -1 } }
+    );
     res.json({ message: 'Application withdrawn' });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -73,7 +73,7 @@ router.post(
       if (!user.emailVerified) {
         return res.status(403).json({ message: 'Please verify your email first' });
       }
-      const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
+      const u = { _id: user._id, name: user.name, email: user.email, role: user.role, companyId: user.companyId, avatar: user.avatar, emailVerified: user.emailVerified };
       res.json({ user: u, token: generateToken(user._id) });
     } catch (err) {
       res.status(500).json({ message: err.message });
@@ -134,7 +134,7 @@ router.post('/google', async (req, res) => {
       user.emailVerified = true;
       await user.save();
     }
-    const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
+    const u = { _id: user._id, name: user.name, email: user.email, role: user.role, companyId: user.companyId, avatar: user.avatar, emailVerified: user.emailVerified };
     res.json({ user: u, token: generateToken(user._id) });
   } catch (err) {
     console.error('Google sign-in error:', err.message);
@@ -242,7 +242,7 @@ router.post(
         // Fire-and-forget; don't block response on welcome email
         void sendWelcomeEmail(user.email, user.name);
       }
-      const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: true };
+      const u = { _id: user._id, name: user.name, email: user.email, role: user.role, companyId: user.companyId, avatar: user.avatar, emailVerified: true };
       res.json({
         message: 'Email verified successfully',
         user: u,
@@ -310,7 +310,7 @@ router.post('/logout', (req, res) => {
 // Frontend compatibility: refresh — return current user and new token
 router.post('/refresh', protect, async (req, res) => {
   const user = req.user;
-  const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
+  const u = { _id: user._id, name: user.name, email: user.email, role: user.role, companyId: user.companyId, avatar: user.avatar, emailVerified: user.emailVerified };
   res.json({ user: u, token: generateToken(user._id) });
 });
 
@@ -0,0 +1,296 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Company from '../models/Company.js';
+import User from '../models/User.js';
+import Opportunity from '../models/Opportunity.js';
+import { protect, adminOnly, employerOrAdmin } from '../middleware/auth.js';
+import { parseRange, funnelReport } from '../utils/analytics.js';
+import { safeRegex } from '../utils/opportunityFilters.js';
+import { normalizeLocations } from '../utils/locations.js';
+import { withRemainingPositions } from '../utils/positions.js';
+import { resolveCompany, uniqueSlug, slugify, mergeCompanies, findNameVariants } from '../utils/companies.js';
+
+const router = express.Router();
+
+const PUBLIC_FIELDS = 'name slug logo website description industry locations';
+const PROFILE_FIELDS = ['description', 'website', 'logo', 'industry', 'locations'];
+// Renaming, re-slugging and deactivating are admin-only; employers edit their own profile content
+const ADMIN_FIELDS = ['name', 'slug', 'isActive'];
+
+const profileValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Company name cannot be empty'),
+  body('slug').optional().trim().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug may only contain lowercase letters, digits and dashes'),
+  body('website').optional({ checkFalsy: true }).isURL().withMessage('Website must be a valid URL'),
+  body('industry').optional().trim(),
+  body('isActive').optional().isBoolean(),
+];
+
+// Open opportunities as shown on the public listing
+const openOpportunityFilter = { isActive: true, isDraft: { $ne: true } };
+
+// Public: active companies with their number of open opportunities. ?search=, ?industry=
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 24));
+    const filter = { isActive: true };
+    const nameRe = safeRegex(req.query.search);
+    if (nameRe) filter.$or = [{ name: nameRe }, { aliases: nameRe }];
+    const industryRe = safeRegex(req.query.industry);
+    if (industryRe) filter.industry = industryRe;
+    const [companies, total] = await Promise.all([
+      Company.find(filter).select(PUBLIC_FIELDS).sort({ name: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Company.countDocuments(filter),
+    ]);
+    const counts = await Opportunity.aggregate([
+      { $match: { ...openOpportunityFilter, companyId: { $in: companies.map((c) => c._id) } } },
+      { $group: { _id: '$companyId', count: { $sum: 1 } } },
+    ]);
+    const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+    res.json({
+      companies: companies.map((c) => ({ ...c, openOpportunities: countById.get(String(c._id)) || 0 })),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: list companies
+router.get('/admin/all', protect, adminOnly, async (req, res) => {
+  try {
+    const companies = await Company.find({}).sort({ name: 1 }).lean();
+    res.json(companies);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: likely name variants (e.g. "Safaricom" and "Safaricom PLC") to review before merging
+router.get('/admin/name-variants', protect, adminOnly, async (req, res) => {
+  try {
+    res.json(await findNameVariants());
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: create a company that employer accounts can be linked to
+router.post(
+  '/',
+  protect,
+  adminOnly,
+  [body('name').trim().notEmpty().withMessage('Company name is required'), ...profileValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const { name, logo, website, description, industry } = req.body;
+      const existing = await resolveCompany(name);
+      if (existing) return res.status(400).json({ message: 'Company already exists', company: existing });
+      let locations;
+      if (req.body.locations !== undefined) {
+        const normalized = normalizeLocations(req.body.locations);
+        if (normalized.error) return res.status(400).json({ message: normalized.error });
+        locations = normalized.locations;
+      }
+      const slug = await uniqueSlug(req.body.slug || name);
+      const company = await Company.create({ name, slug, logo, website, description, industry, locations });
+      res.status(201).json(company);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// Admin: turn an existing user into an employer for this company (body: { email })
+router.post(
+  '/:id/employers',
+  protect,
+  adminOnly,
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const company = await Company.findById(req.params.id);
+      if (!company) return res.status(404).json({ message: 'Company not found' });
+      const user = await User.findOne({ email: req.body.email }).select('-password');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (user.role === 'admin') return res.status(400).json({ message: 'Admins cannot be linked to a company' });
+      user.role = 'employer';
+      user.companyId = company._id;
+      await user.save();
+      res.json(user);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// Funnel analytics across a company's opportunities (admin, or the company's own employers).
+// ?from=&to= ISO dates, default last 30 days
+router.get('/:id/analytics', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id).select('name').lean();
+    if (!company) return res.status(404).json({ message: 'Company not found' });
+    if (req.user.role !== 'admin' && String(req.user.companyId) !== String(company._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this company' });
+    }
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    // Older postings may only carry the company name
+    const opportunities = await Opportunity.find({ $or: [{ companyId: company._id }, { company: company.name }] })
+      .select('title isActive')
+      .lean();
+    const report = await funnelReport(opportunities.map((o) => o._id), range);
+    const byId = new Map(opportunities.map((o) => [String(o._id), o]));
+    report.opportunities = report.opportunities
+      .map((o) => ({ ...o, title: byId.get(String(o.opportunityId))?.title }))
+      .sort((a, b) => b.submitted - a.submitted || b.views - a.views);
+    res.json({ company, ...report });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Update a company profile (admin, or the company's own employers for profile content).
+// Renaming also updates the company name shown on its opportunities.
+router.patch('/:id', protect, employerOrAdmin, profileValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const company = await Company.findById(req.params.id);
+    if (!company) return res.status(404).json({ message: 'Company not found' });
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && String(req.user.companyId) !== String(company._id)) {
+      return res.status(403).json({ message: 'Not authorized to edit this company' });
+    }
+    const fields = isAdmin ? [...PROFILE_FIELDS, ...ADMIN_FIELDS] : PROFILE_FIELDS;
+    const updates = {};
+    for (const k of fields) {
+      if (req.body[k] !== undefined) updates[k] = req.body[k];
+    }
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields to update' });
+    if (updates.locations !== undefined) {
+      const normalized = normalizeLocations(updates.locations);
+      if (normalized.error) return res.status(400).json({ message: normalized.error });
+      updates.locations = normalized.locations;
+    }
+    const renamed = updates.name !== undefined && updates.name !== company.name;
+    if (renamed) {
+      const clash = await resolveCompany(updates.name);
+      if (clash && String(clash._id) !== String(company._id)) {
+        return res.status(400).json({ message: 'Another company already uses this name; merge them instead', company: clash });
+      }
+    }
+    if (updates.slug !== undefined) {
+      updates.slug = slugify(updates.slug);
+      if (await Company.exists({ slug: updates.slug, _id: { $ne: company._id } })) {
+        return res.status(400).json({ message: 'Slug is already taken' });
+      }
+    }
+    const previousName = company.name;
+    company.set(updates);
+    if (renamed && !company.aliases.includes(previousName)) company.aliases.push(previousName);
+    // Companies created before profiles existed get a slug on first edit (or via npm run migrate:companies)
+    if (!company.slug) company.slug = await uniqueSlug(company.name, company._id);
+    await company.save();
+    if (renamed || updates.logo !== undefined) {
+      const denormalized = {};
+      if (renamed) denormalized.company = company.name;
+      if (updates.logo !== undefined) denormalized.companyLogo = company.logo;
+      await Opportunity.updateMany({ companyId: company._id }, { $set: denormalized });
+    }
+    res.json(company);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: merge name variants into this company (body: { sourceIds: [...] }). Their opportunities and
+// employers move here, their names become aliases, and the source companies are removed.
+router.post(
+  '/:id/merge',
+  protect,
+  adminOnly,
+  [
+    body('sourceIds').isArray({ min: 1 }).withMessage('sourceIds must be a non-empty array'),
+    body('sourceIds.*').custom((id) => mongoose.isValidObjectId(id)).withMessage('Invalid company id'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const target = await Company.findById(req.params.id).lean();
+      if (!target) return res.status(404).json({ message: 'Company not found' });
+      const sourceIds = [...new Set(req.body.sourceIds.map(String))];
+      if (sourceIds.includes(String(target._id))) {
+        return res.status(400).json({ message: 'A company cannot be merged into itself' });
+      }
+      const sources = await Company.find({ _id: { $in: sourceIds } }).lean();
+      if (sources.length !== sourceIds.length) return res.status(404).json({ message: 'One or more source companies not found' });
+      const result = await mergeCompanies(target, sources, req.user);
+      res.json({ ...result, mergedCompanies: sources.map((s) => ({ _id: s._id, name: s.name })) });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// Admin: unlink an employer from this company (they revert to a student account)
+router.delete('/:id/employers/:userId', protect, adminOnly, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, companyId: req.params.id }).select('-password');
+    if (!user) return res.status(404).json({ message: 'Employer not found for this company' });
+    user.role = 'student';
+    user.companyId = undefined;
+    await user.save();
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Public: company profile with its open opportunities and acceptance history by year
+router.get('/:slug', async (req, res) => {
+  try {
+    const company = await Company.findOne({ slug: String(req.params.slug).toLowerCase(), isActive: true }).select(PUBLIC_FIELDS).lean();
+    if (!company) return res.status(404).json({ message: 'Company not found' });
+    const [opportunities, history] = await Promise.all([
+      Opportunity.find({ ...openOpportunityFilter, companyId: company._id })
+        .select('-questions -eligibility -rubric -externalRef -createdBy')
+        .sort({ deadline: 1, createdAt: -1 })
+        .lean(),
+      Opportunity.aggregate([
+        { $match: { companyId: company._id, isDraft: { $ne: true } } },
+        {
+          $group: {
+            _id: { $year: '$createdAt' },
+            opportunities: { $sum: 1 },
+            accepted: { $sum: { $ifNull: ['$acceptedCount', 0] } },
+          },
+        },
+        { $sort: { _id: -1 } },
+      ]),
+    ]);
+    const acceptancesByYear = history.map((h) => ({ year: h._id, opportunities: h.opportunities, accepted: h.accepted }));
+    res.json({
+      company,
+      opportunities: opportunities.map(withRemainingPositions),
+      stats: {
+        openOpportunities: opportunities.length,
+        totalOpportunities: acceptancesByYear.reduce((sum, h) => sum + h.opportunities, 0),
+        totalAccepted: acceptancesByYear.reduce((sum, h) => sum + h.accepted, 0),
+        acceptancesByYear,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import Opportunity from '../models/Opportunity.js';
 import Application from '../models/Application.js';
 import { protect, adminOnly } from '../middleware/auth.js';
+import { APPLICATION_SORTS, resolveSort, paginate } from '../utils/pagination.js';
 
 const router = express.Router();
 
@@ -51,13 +52,12 @@ router.get('/applications-status', protect, adminOnly, async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
-    const skip = (page - 1) * limit;
     const filterStatus = req.query.status; // Optional filter: 'pending', 'completed'
 
     // Pending statuses: applications that haven't been finalized
     const pendingStatuses = ['pending_payment', 'submitted', 'under_review'];
     // Completed statuses: applications with final outcome
-    const completedStatuses = ['shortlisted', 'rejected', 'accepted'];
+    const completedStatuses = ['shortlisted', 'rejected', 'accepted', 'declined'];
 
     let query = {};
     if (filterStatus === 'pending') {
@@ -66,16 +66,16 @@ router.get('/applications-status', protect, adminOnly, async (req, res) => {
       query.status = { $in: completedStatuses };
     }
 
-    const [applications, total] = await Promise.all([
-      Application.find(query)
-        .populate('opportunityId', 'title company type')
-        .populate('userId', 'name email')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
+    const { name: sortName, sort } = resolveSort(req.query.sort, APPLICATION_SORTS);
+    const [result, total] = await Promise.all([
+      paginate(Application, { filter: query, sortName, sort, cursor: req.query.cursor, page, limit }),
       Application.countDocuments(query),
     ]);
+    if (result.error) return res.status(400).json({ message: result.error });
+    const applications = await Application.populate(result.items, [
+      { path: 'opportunityId', select: 'title company type' },
+      { path: 'userId', select: 'name email' },
+    ]);
 
     // Transform data with timestamps and status categorization
     const formattedApplications = applications.map((app) => ({
@@ -96,13 +96,17 @@ router.get('/applications-status', protect, adminOnly, async (req, res) => {
       amountPaid: app.amountPaid,
       hasResume: !!app.resumeUrl,
       hasCoverLetter: !!app.coverLetter,
+      answers: app.answers || [],
     }));
 
     res.json({
       applications: formattedApplications,
       total,
-      page,
+      page: result.page,
       pages: Math.ceil(total / limit),
+      sort: sortName,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
       stats: {
         pending: applications.filter((a) => pendingStatuses.includes(a.status)).length,
         completed: applications.filter((a) => completedStatuses.includes(a.status)).length,
@@ -0,0 +1,117 @@
+import express from 'express';
+import Opportunity from '../models/Opportunity.js';
+import { buildListingFilters } from '../utils/opportunityFilters.js';
+import {
+  renderAtom,
+  renderRss,
+  renderJsonFeed,
+  renderSitemap,
+  lastModifiedOf,
+  etagOf,
+} from '../utils/feeds.js';
+import { isPublishable, toJobPosting, validateJobPosting } from '../utils/jobPosting.js';
+
+const router = express.Router();
+
+const FEED_FORMATS = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  json: { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed },
+};
+const FEED_FIELDS = 'title company type description location category applicationFee deadline publishedAt createdAt updatedAt';
+const SITEMAP_LIMIT = 50000;
+
+function frontendUrl() {
+  return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+function selfUrl(req) {
+  const base = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${base}${req.originalUrl}`;
+}
+
+function openNow() {
+  return { $or: [{ deadline: null }, { deadline: { $gte: new Date() } }] };
+}
+
+// Set ETag/Last-Modified and answer conditional requests; returns true when a 304 was sent
+function notModified(req, res, opportunities, variant) {
+  res.set('ETag', etagOf(opportunities, variant));
+  res.set('Last-Modified', lastModifiedOf(opportunities).toUTCString());
+  res.set('Cache-Control', 'public, max-age=300');
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+// GET /feeds/opportunities.atom | .rss | .json — same filters as GET /opportunities
+router.get('/opportunities.:format', async (req, res) => {
+  try {
+    const format = FEED_FORMATS[req.params.format];
+    if (!format) return res.status(404).json({ message: 'Unknown feed format. Use atom, rss or json' });
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+    const { baseMatch, fieldFilters, error } = buildListingFilters(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const filter = { ...baseMatch, ...fieldFilters, $and: [...(baseMatch.$and || []), openNow()] };
+    const opportunities = await Opportunity.find(filter).select(FEED_FIELDS).sort({ createdAt: -1 }).limit(limit).lean();
+
+    if (notModified(req, res, opportunities, `${req.params.format}:${req.originalUrl}`)) return;
+    const site = frontendUrl();
+    const body = format.render({
+      opportunities,
+      selfUrl: selfUrl(req),
+      siteUrl: `${site}/opportunities`,
+      itemUrl: (o) => `${site}/opportunities/${o._id}`,
+      updated: lastModifiedOf(opportunities),
+    });
+    res.type(format.contentType).send(typeof body === 'string' ? body : JSON.stringify(body));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /feeds/sitemap.xml — active opportunity pages for search engines
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const opportunities = await Opportunity.find({ isActive: true, ...openNow() })
+      .select('createdAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(SITEMAP_LIMIT)
+      .lean();
+    if (notModified(req, res, opportunities, 'sitemap')) return;
+    const site = frontendUrl();
+    res.type('application/xml; charset=utf-8').send(renderSitemap({
+      opportunities,
+      itemUrl: (o) => `${site}/opportunities/${o._id}`,
+    }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /feeds/jobpostings.jsonld — schema.org JobPosting for every open opportunity (invalid ones omitted)
+router.get('/jobpostings.jsonld', async (req, res) => {
+  try {
+    const { baseMatch, fieldFilters, error } = buildListingFilters(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const filter = { ...baseMatch, ...fieldFilters, $and: [...(baseMatch.$and || []), openNow()] };
+    const opportunities = await Opportunity.find(filter).sort({ createdAt: -1 }).limit(SITEMAP_LIMIT).lean();
+    if (notModified(req, res, opportunities, `jsonld:${req.originalUrl}`)) return;
+    const site = frontendUrl();
+    const itemUrl = (o) => `${site}/opportunities/${o._id}`;
+    const postings = opportunities
+      .filter((o) => isPublishable(o))
+      .map((o) => toJobPosting(o, { itemUrl }))
+      .filter((p) => validateJobPosting(p).length === 0);
+    res.type('application/ld+json; charset=utf-8').send(JSON.stringify({
+      '@context': 'https://schema.org/',
+      '@graph': postings.map(({ '@context': _context, ...posting }) => posting),
+    }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,276 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import InterviewSlot from '../models/InterviewSlot.js';
+import InterviewBooking from '../models/InterviewBooking.js';
+import Opportunity from '../models/Opportunity.js';
+import { protect, employerOrAdmin, canManageOpportunity } from '../middleware/auth.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import {
+  INTERVIEW_CHANGE_CUTOFF_HOURS,
+  validateSlotInput,
+  bookInterview,
+  cancelBooking,
+  withinCutoff,
+  inviteShortlisted,
+  sendInterviewConfirmation,
+  sendInterviewCancellation,
+  slotEnd,
+} from '../utils/interviews.js';
+
+const router = express.Router();
+
+const SLOT_FIELDS = ['startsAt', 'durationMinutes', 'location', 'videoLink', 'capacity', 'notes'];
+const MAX_SLOTS_PER_REQUEST = 100;
+
+// Load the opportunity and check the user manages it; sends the error response and returns null otherwise
+async function managedOpportunity(req, res, id) {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ message: 'Opportunity not found' });
+    return null;
+  }
+  const opportunity = await Opportunity.findById(id).select('title company companyId').lean();
+  if (!opportunity) {
+    res.status(404).json({ message: 'Opportunity not found' });
+    return null;
+  }
+  if (!canManageOpportunity(req.user, opportunity)) {
+    res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    return null;
+  }
+  return opportunity;
+}
+
+function pickSlotFields(body) {
+  const data = {};
+  for (const k of SLOT_FIELDS) {
+    if (body[k] !== undefined) data[k] = typeof body[k] === 'string' ? body[k].trim() : body[k];
+  }
+  return data;
+}
+
+// Manager: all slots for an opportunity with who booked them. ?upcoming=true hides past slots
+router.get('/opportunities/:id/slots', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await managedOpportunity(req, res, req.params.id);
+    if (!opportunity) return;
+    const filter = { opportunityId: opportunity._id };
+    if (req.query.upcoming === 'true') filter.startsAt = { $gt: new Date() };
+    const [slots, bookings] = await Promise.all([
+      InterviewSlot.find(filter).sort({ startsAt: 1 }).lean(),
+      InterviewBooking.find({ opportunityId: opportunity._id }).populate('userId', 'name email').lean(),
+    ]);
+    const bySlot = new Map();
+    for (const b of bookings) {
+      const key = String(b.slotId);
+      if (!bySlot.has(key)) bySlot.set(key, []);
+      bySlot.get(key).push({ _id: b._id, applicationId: b.applicationId, applicant: b.userId, bookedAt: b.createdAt });
+    }
+    res.json(slots.map((s) => ({ ...s, bookings: bySlot.get(String(s._id)) || [] })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Manager: publish slots. Body is one slot or { slots: [...] } with startsAt, durationMinutes,
+// location and/or videoLink, capacity (default 1) and notes
+router.post('/opportunities/:id/slots', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await managedOpportunity(req, res, req.params.id);
+    if (!opportunity) return;
+    const inputs = Array.isArray(req.body.slots) ? req.body.slots : [req.body];
+    if (inputs.length === 0 || inputs.length > MAX_SLOTS_PER_REQUEST) {
+      return res.status(400).json({ message: `Send between 1 and ${MAX_SLOTS_PER_REQUEST} slots` });
+    }
+    for (const [i, input] of inputs.entries()) {
+      const error = validateSlotInput(input);
+      if (error) return res.status(400).json({ message: inputs.length > 1 ? `Slot ${i + 1}: ${error}` : error });
+    }
+    const slots = await InterviewSlot.insertMany(
+      inputs.map((input) => ({ ...pickSlotFields(input), opportunityId: opportunity._id, createdBy: req.user._id }))
+    );
+    // Applicants shortlisted before there were slots to book get their invitation now
+    await inviteShortlisted(opportunity._id, { actor: req.user });
+    res.status(201).json(slots);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Manager: edit a slot. Time and duration are fixed once someone has booked; changed location or
+// link is sent to booked applicants with an updated calendar invite
+router.patch('/slots/:slotId', protect, employerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.slotId)) return res.status(404).json({ message: 'Interview slot not found' });
+    const slot = await InterviewSlot.findById(req.params.slotId);
+    if (!slot || slot.isCancelled) return res.status(404).json({ message: 'Interview slot not found' });
+    if (!(await managedOpportunity(req, res, slot.opportunityId))) return;
+    const updates = pickSlotFields(req.body);
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields to update' });
+    const error = validateSlotInput(updates, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    if (slot.bookedCount > 0 && ('startsAt' in updates || 'durationMinutes' in updates)) {
+      return res.status(409).json({ message: 'This slot has bookings; cancel it and publish a new one to change the time' });
+    }
+    if (updates.capacity !== undefined && Number(updates.capacity) < slot.bookedCount) {
+      return res.status(400).json({ message: `capacity cannot be lower than the ${slot.bookedCount} existing bookings` });
+    }
+    const detailsChanged = ['location', 'videoLink', 'notes'].some((k) => k in updates && (updates[k] || '') !== (slot[k] || ''));
+    slot.set(updates);
+    if (!String(slot.location || '').trim() && !String(slot.videoLink || '').trim()) {
+      return res.status(400).json({ message: 'Give a location or a video link' });
+    }
+    await slot.save();
+    let notified = 0;
+    if (detailsChanged && slot.bookedCount > 0) {
+      await InterviewBooking.updateMany({ slotId: slot._id }, { $inc: { sequence: 1 } });
+      const bookings = await InterviewBooking.find({ slotId: slot._id }).lean();
+      const slotData = slot.toObject();
+      for (const booking of bookings) {
+        enqueueEmail(() => sendInterviewConfirmation({ booking, slot: slotData, kind: 'updated' }), `interview update ${booking._id}`);
+        notified++;
+      }
+    }
+    res.json({ slot, notified });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Manager: cancel a slot. Booked applicants get a cancellation (removing the calendar event) and can rebook
+router.delete('/slots/:slotId', protect, employerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.slotId)) return res.status(404).json({ message: 'Interview slot not found' });
+    const existing = await InterviewSlot.findById(req.params.slotId).select('opportunityId startsAt isCancelled').lean();
+    if (!existing || existing.isCancelled) return res.status(404).json({ message: 'Interview slot not found' });
+    if (existing.startsAt <= new Date()) return res.status(400).json({ message: 'Past interview slots cannot be cancelled' });
+    if (!(await managedOpportunity(req, res, existing.opportunityId))) return;
+    const slot = await InterviewSlot.findOneAndUpdate(
+      { _id: existing._id, isCancelled: { $ne: true } },
+      { $set: { isCancelled: true } },
+      { new: true }
+    ).lean();
+    if (!slot) return res.status(404).json({ message: 'Interview slot not found' });
+    const bookings = await InterviewBooking.find({ slotId: slot._id }).lean();
+    let notified = 0;
+    for (const booking of bookings) {
+      const removed = await cancelBooking(booking, { actor: req.user, reason: 'slot_cancelled' });
+      if (!removed) continue;
+      enqueueEmail(() => sendInterviewCancellation({ booking: removed, slot }), `interview cancellation ${removed._id}`);
+      notified++;
+    }
+    if (bookings.length === 0) await InterviewSlot.deleteOne({ _id: slot._id });
+    res.json({ message: bookings.length ? 'Slot cancelled' : 'Slot deleted', notified });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Manager: re-send booking invitations. Applicants are invited automatically when shortlisted or when
+// slots are published; this covers anyone missed (body: { applicationIds } optional) or, with resend: true,
+// invites again everyone without a booking
+router.post('/opportunities/:id/invitations', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await managedOpportunity(req, res, req.params.id);
+    if (!opportunity) return;
+    if (req.body.applicationIds !== undefined) {
+      if (!Array.isArray(req.body.applicationIds) || !req.body.applicationIds.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'applicationIds must be an array of application ids' });
+      }
+    }
+    const result = await inviteShortlisted(opportunity._id, {
+      applicationIds: req.body.applicationIds,
+      resend: req.body.resend === true,
+      actor: req.user,
+    });
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Load the current user's application; sends the error response and returns null otherwise
+async function ownApplication(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Application not found' });
+    return null;
+  }
+  const application = await Application.findOne({ _id: req.params.id, userId: req.user._id })
+    .select('status opportunityId userId')
+    .lean();
+  if (!application) res.status(404).json({ message: 'Application not found' });
+  return application;
+}
+
+// Applicant: open slots for their application and their current booking
+router.get('/applications/:id', protect, async (req, res) => {
+  try {
+    const application = await ownApplication(req, res);
+    if (!application) return;
+    const booking = await InterviewBooking.findOne({ applicationId: application._id }).lean();
+    const slots = application.status === 'shortlisted'
+      ? await InterviewSlot.find({
+        opportunityId: application.opportunityId,
+        isCancelled: { $ne: true },
+        startsAt: { $gt: new Date(Date.now() + INTERVIEW_CHANGE_CUTOFF_HOURS * 60 * 60 * 1000) },
+        $expr: { $lt: ['$bookedCount', '$capacity'] },
+      })
+        .sort({ startsAt: 1 })
+        .select('startsAt durationMinutes location videoLink notes capacity bookedCount')
+        .lean()
+      : [];
+    const bookedSlot = booking ? await InterviewSlot.findById(booking.slotId).select('startsAt durationMinutes location videoLink notes').lean() : null;
+    res.json({
+      booking: booking ? { ...booking, slot: bookedSlot, canChange: !withinCutoff(booking.startsAt) } : null,
+      slots: slots.map(({ capacity, bookedCount, videoLink, ...s }) => ({
+        ...s,
+        endsAt: slotEnd(s),
+        online: !!videoLink,
+        spotsLeft: capacity - bookedCount,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Applicant: book a slot, or reschedule to another one (body: { slotId })
+router.put('/applications/:id/booking', protect, async (req, res) => {
+  try {
+    const application = await ownApplication(req, res);
+    if (!application) return;
+    if (!mongoose.isValidObjectId(req.body.slotId)) return res.status(400).json({ message: 'slotId is required' });
+    const result = await bookInterview(application, req.body.slotId, req.user);
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    void sendInterviewConfirmation({ booking: result.booking, slot: result.slot, kind: result.rescheduled ? 'rescheduled' : 'booked' })
+      .catch((err) => console.error('[Interviews] Confirmation email failed:', err.message));
+    res.status(result.rescheduled ? 200 : 201).json({ booking: result.booking, slot: result.slot, rescheduled: result.rescheduled });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Applicant: cancel their booking (not within the cutoff before the interview)
+router.delete('/applications/:id/booking', protect, async (req, res) => {
+  try {
+    const application = await ownApplication(req, res);
+    if (!application) return;
+    const booking = await InterviewBooking.findOne({ applicationId: application._id }).lean();
+    if (!booking) return res.status(404).json({ message: 'No interview booked' });
+    if (withinCutoff(booking.startsAt)) {
+      return res.status(400).json({ message: `Interviews cannot be changed less than ${INTERVIEW_CHANGE_CUTOFF_HOURS} hours before they start` });
+    }
+    const removed = await cancelBooking(booking, { actor: req.user, reason: 'applicant_cancelled' });
+    if (!removed) return res.status(409).json({ message: 'Your booking changed in the meantime; reload and try again' });
+    const slot = await InterviewSlot.findById(removed.slotId).lean();
+    if (slot) {
+      enqueueEmail(() => sendInterviewCancellation({ booking: removed, slot, reason: 'applicant_cancelled' }), `interview cancellation ${removed._id}`);
+    }
+    res.json({ message: 'Interview booking cancelled' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -1,77 +1,251 @@
 import express from 'express';
-import escapeStringRegexp from 'escape-string-regexp';
+import multer from 'multer';
 import Opportunity from '../models/Opportunity.js';
 import User from '../models/User.js';
-import { protect, adminOnly } from '../middleware/auth.js';
-import { body, validationResult } from 'express-validator';
-import { sendAdminNewOpportunityEmail } from '../utils/sendEmail.js';
+import Company from '../models/Company.js';
+import OpportunityRevision from '../models/OpportunityRevision.js';
+import { protect, optionalAuth, adminOnly, employerOrAdmin, canManageOpportunity, managedOpportunityFilter } from '../middleware/auth.js';
+import { validationResult } from 'express-validator';
+import { recommendForUser, recommendPopular } from '../utils/recommendations.js';
+import { buildListingFilters } from '../utils/opportunityFilters.js';
+import { validateQuestionDefinitions } from '../utils/applicationQuestions.js';
+import { opportunityValidators, validateOpportunityData } from '../utils/opportunityValidation.js';
+import { parseImportFile, normalizeImportRow, importKey } from '../utils/opportunityImport.js';
+import { recordRevisionSafe, snapshotOf, diffSnapshots } from '../utils/opportunityHistory.js';
+import { withRemainingPositions, syncPositions } from '../utils/positions.js';
+import { validateEligibilityDefinition, evaluateEligibility } from '../utils/eligibility.js';
+import { applyStructuredLocation } from '../utils/locations.js';
+import { isPublishable, toJobPosting, validateJobPosting } from '../utils/jobPosting.js';
+import { OPPORTUNITY_SORTS, resolveSort, paginate } from '../utils/pagination.js';
+import { publishOpportunity, notifyAdminOfNewOpportunity } from '../utils/publishing.js';
+import { findDuplicateCandidates, findDuplicateClusters, isLikelyDuplicate, loadDuplicatePool, matchDuplicates } from '../utils/duplicates.js';
+import { recordView, recordSaveToggle, parseRange, funnelReport } from '../utils/analytics.js';
+import { ensureCompany } from '../utils/companies.js';
+import { validateRubricDefinition, hasSubmittedReviews } from '../utils/reviews.js';
 
 const router = express.Router();
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
 
-function safeRegex(str) {
-  if (!str || typeof str !== 'string') return null;
-  try {
-    return new RegExp(escapeStringRegexp(str.trim()), 'i');
-  } catch {
-    return null;
-  }
+// Boolean option from the query string or body (true, "true" or "1")
+function flagParam(req, name) {
+  return ['true', '1'].includes(String(req.query[name] ?? req.body?.[name]).toLowerCase());
 }
 
-// Admin: list all opportunities (including inactive)
-router.get('/admin/all', protect, adminOnly, async (req, res) => {
+// Admin: list all opportunities (including inactive and drafts); employers see only their company's.
+// Pagination: ?cursor= (from nextCursor) or ?page=; ?sort=newest|deadline|fee|fee_desc|most_applied
+// ?draft=true lists only drafts, ?draft=false only published opportunities
+router.get('/admin/all', protect, employerOrAdmin, async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
-    const skip = (page - 1) * limit;
-    const [opportunities, total] = await Promise.all([
-      Opportunity.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
-      Opportunity.countDocuments({}),
+    const filter = { ...managedOpportunityFilter(req.user) };
+    if (req.query.draft === 'true') filter.isDraft = true;
+    if (req.query.draft === 'false') filter.isDraft = { $ne: true };
+    const { name: sortName, sort } = resolveSort(req.query.sort, OPPORTUNITY_SORTS);
+    const [result, total] = await Promise.all([
+      paginate(Opportunity, { filter, sortName, sort, cursor: req.query.cursor, page, limit }),
+      Opportunity.countDocuments(filter),
     ]);
-    res.json({ opportunities, total, page, pages: Math.ceil(total / limit) });
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json({
+      opportunities: result.items.map(withRemainingPositions),
+      total,
+      page: result.page,
+      pages: Math.ceil(total / limit),
+      sort: sortName,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+const FACET_FIELDS = ['category', 'type', 'location', 'duration', 'workMode'];
+
+// Counts per value for each facet field. Each facet ignores its own filter so the
+// frontend can show how many results selecting another value would give.
+async function facetCounts(baseMatch, fieldFilters) {
+  const facetStages = {};
+  for (const field of FACET_FIELDS) {
+    const others = {};
+    for (const [k, v] of Object.entries(fieldFilters)) {
+      if (k !== field) others[k] = v;
+    }
+    facetStages[field] = [
+      { $match: others },
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+    ];
+  }
+  const [facets] = await Opportunity.aggregate([{ $match: baseMatch }, { $facet: facetStages }]);
+  return facets || Object.fromEntries(FACET_FIELDS.map((f) => [f, []]));
+}
+
+// Admin: bulk import opportunities from a CSV or JSON file (multipart field "file").
+// ?dryRun=true validates and reports what would happen without writing anything.
+// Every row needs an externalRef; rows are upserted on company + externalRef.
+router.post('/admin/import', protect, adminOnly, importUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'Import file is required' });
+    const dryRun = flagParam(req, 'dryRun');
+    const allowDuplicates = flagParam(req, 'allowDuplicates');
+    let rawRows;
+    try {
+      rawRows = parseImportFile(req.file);
+    } catch (parseErr) {
+      return res.status(400).json({ message: parseErr.message });
+    }
+
+    const report = [];
+    const valid = [];
+    const seenKeys = new Set();
+    for (const [i, raw] of rawRows.entries()) {
+      const row = i + 1;
+      const { data, errors } = await validateOpportunityData(normalizeImportRow(raw));
+      if (!data.externalRef) errors.push({ field: 'externalRef', message: 'externalRef is required for imports' });
+      if (errors.length === 0) {
+        const key = importKey(data.company, data.externalRef);
+        if (seenKeys.has(key)) errors.push({ field: 'externalRef', message: 'Duplicate externalRef for this company in the file' });
+        seenKeys.add(key);
+      }
+      if (errors.length > 0) {
+        report.push({ row, externalRef: data.externalRef, title: data.title, action: 'error', errors });
+      } else {
+        valid.push({ row, data });
+      }
+    }
+
+    const importedNames = [...new Set(valid.map((v) => v.data.company))];
+    const [existing, companies] = await Promise.all([
+      Opportunity.find({ externalRef: { $in: valid.map((v) => v.data.externalRef) } }).lean(),
+      Company.find({ $or: [{ name: { $in: importedNames } }, { aliases: { $in: importedNames } }] }).select('name aliases logo').lean(),
+    ]);
+    const existingByKey = new Map(existing.map((o) => [importKey(o.company, o.externalRef), o]));
+    // Rows keep the company name as given (it is part of the import key); merged aliases still link to the profile
+    const companyByName = new Map(companies.flatMap((c) => [c.name, ...(c.aliases || [])].map((n) => [n, c])));
+
+    const operations = [];
+    const created = [];
+    for (const { data } of valid) {
+      const company = companyByName.get(data.company);
+      if (company) {
+        data.companyId = company._id;
+        data.companyLogo = data.companyLogo || company.logo;
+      }
+    }
+    // Existing postings of every company in the file, matched in memory per row
+    const duplicatePool = allowDuplicates ? null : await loadDuplicatePool(valid.map((v) => v.data));
+    for (const { row, data } of valid) {
+      const existingId = existingByKey.get(importKey(data.company, data.externalRef))?._id;
+      if (!existingId && !allowDuplicates) {
+        // New rows must not duplicate an existing posting or an earlier new row in the same file
+        const duplicates = matchDuplicates(data, duplicatePool);
+        const inFile = created.find((other) => isLikelyDuplicate({ ...data, isActive: true }, { ...other.data, isActive: true }) !== null);
+        if (duplicates.length > 0 || inFile) {
+          report.push({
+            row,
+            externalRef: data.externalRef,
+            title: data.title,
+            action: 'error',
+            errors: [{ field: 'title', message: inFile ? `Likely duplicate of row ${inFile.row}` : 'Likely duplicate of an existing opportunity' }],
+            duplicates,
+          });
+          continue;
+        }
+      }
+      if (!existingId) created.push({ row, data });
+      report.push({ row, externalRef: data.externalRef, title: data.title, action: existingId ? 'update' : 'create', ...(existingId && { id: existingId }) });
+      operations.push({
+        updateOne: {
+          filter: { company: data.company, externalRef: data.externalRef },
+          update: { $set: data, $setOnInsert: { createdBy: req.user._id } },
+          upsert: true,
+        },
+      });
+    }
+    report.sort((a, b) => a.row - b.row);
+
+    if (!dryRun && operations.length > 0) {
+      // Admin new-opportunity emails are intentionally not sent for bulk imports
+      await Opportunity.bulkWrite(operations, { ordered: false });
+      const imported = await Opportunity.find({ externalRef: { $in: valid.map((v) => v.data.externalRef) } }).lean();
+      for (const opp of imported) {
+        const key = importKey(opp.company, opp.externalRef);
+        if (!seenKeys.has(key)) continue;
+        await recordRevisionSafe({ opportunity: opp, before: existingByKey.get(key) || null, action: 'import', actor: req.user });
+      }
+    }
+
+    res.json({
+      dryRun,
+      summary: {
+        total: rawRows.length,
+        created: report.filter((r) => r.action === 'create').length,
+        updated: report.filter((r) => r.action === 'update').length,
+        failed: report.filter((r) => r.action === 'error').length,
+      },
+      rows: report,
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// Admin: clusters of likely-duplicate opportunities for cleanup. ?open=true limits to live and draft postings
+router.get('/admin/duplicates', protect, adminOnly, async (req, res) => {
+  try {
+    const filter = req.query.open === 'true' ? { $or: [{ isActive: true }, { isDraft: true }] } : {};
+    const clusters = await findDuplicateClusters({ filter });
+    res.json({ clusters, total: clusters.length });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Public listing. Pagination: ?cursor= (from nextCursor) or ?page=.
+// ?sort=newest|deadline|fee|fee_desc|most_applied|relevance (relevance is the default when searching)
 router.get('/', async (req, res) => {
   try {
-    const { category, location, type, duration, search } = req.query;
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 12));
-    const filter = { isActive: true };
-    const catRe = safeRegex(category);
-    if (catRe) filter.category = catRe;
-    const locRe = safeRegex(location);
-    if (locRe) filter.location = locRe;
-    if (type) filter.type = type;
-    const durRe = safeRegex(duration);
-    if (durRe) filter.duration = durRe;
-    const searchRe = safeRegex(search);
-    if (searchRe) {
-      filter.$or = [
-        { title: searchRe },
-        { company: searchRe },
-        { description: searchRe },
-      ];
-    }
-    const skip = (page - 1) * limit;
-    const [opportunities, total] = await Promise.all([
-      Opportunity.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    const { baseMatch, fieldFilters, searchText, error } = buildListingFilters(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const filter = { ...baseMatch, ...fieldFilters };
+    const { name: sortName, sort } = resolveSort(req.query.sort, OPPORTUNITY_SORTS, {
+      fallback: searchText ? 'relevance' : 'newest',
+      hasText: !!searchText,
+    });
+    const [result, total, facets] = await Promise.all([
+      paginate(Opportunity, { filter, sortName, sort, cursor: req.query.cursor, page, limit, project: { rubric: 0 } }),
       Opportunity.countDocuments(filter),
+      facetCounts(baseMatch, fieldFilters),
     ]);
-    res.json({ opportunities, total, page, pages: Math.ceil(total / limit) });
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json({
+      opportunities: result.items.map(withRemainingPositions),
+      total,
+      page: result.page,
+      pages: Math.ceil(total / limit),
+      sort: sortName,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+      facets,
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Frontend: recommended opportunities (e.g. latest 6)
-router.get('/recommended', async (req, res) => {
+// Frontend: recommended opportunities — personalized when logged in, popular otherwise
+router.get('/recommended', optionalAuth, async (req, res) => {
   try {
-    const opportunities = await Opportunity.find({ isActive: true })
-      .sort({ createdAt: -1 })
-      .limit(6)
-      .lean();
+    const limit = Math.min(20, Math.max(1, Number(req.query.limit) || 6));
+    const opportunities = req.user
+      ? await recommendForUser(req.user, limit)
+      : await recommendPopular(limit);
     res.json(opportunities);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -84,7 +258,7 @@ router.get('/saved', protect, async (req, res) => {
     const user = await User.findById(req.user._id).select('savedOpportunities').lean();
     const ids = user?.savedOpportunities || [];
     if (ids.length === 0) return res.json([]);
-    const opportunities = await Opportunity.find({ _id: { $in: ids }, isActive: true }).lean();
+    const opportunities = await Opportunity.find({ _id: { $in: ids }, isActive: true }).select('-rubric').lean();
     res.json(opportunities);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -95,7 +269,7 @@ router.get('/saved', protect, async (req, res) => {
 router.post('/:id/save', protect, async (req, res) => {
   try {
     const opp = await Opportunity.findById(req.params.id);
-    if (!opp) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!opp || opp.isDraft) return res.status(404).json({ message: 'Opportunity not found' });
     const user = await User.findById(req.user._id).select('savedOpportunities');
     if (!user) return res.status(401).json({ message: 'User not found' });
     const id = opp._id;
@@ -105,11 +279,15 @@ router.post('/:id/save', protect, async (req, res) => {
       list.splice(idx, 1);
       user.savedOpportunities = list;
       await user.save();
+      await Opportunity.updateOne({ _id: id, saveCount: { $gt: 0 } }, { $inc: { saveCount: -1 } });
+      recordSaveToggle(user._id, id, false);
       return res.json({ saved: false });
     }
     list.push(id);
     user.savedOpportunities = list;
     await user.save();
+    await Opportunity.updateOne({ _id: id }, { $inc: { saveCount: 1 } });
+    recordSaveToggle(user._id, id, true);
     res.json({ saved: true });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -130,6 +308,8 @@ router.delete('/:id/save', protect, async (req, res) => {
       list.splice(idx, 1);
       user.savedOpportunities = list;
       await user.save();
+      await Opportunity.updateOne({ _id: id, saveCount: { $gt: 0 } }, { $inc: { saveCount: -1 } });
+      recordSaveToggle(user._id, id, false);
     }
     res.json({ saved: false });
   } catch (err) {
@@ -137,11 +317,81 @@ router.delete('/:id/save', protect, async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+// Pre-check whether the current user meets an opportunity's eligibility rules
+router.get('/:id/eligibility', protect, async (req, res) => {
+  try {
+    const opp = await Opportunity.findById(req.params.id).select('eligibility isDraft').lean();
+    if (!opp || opp.isDraft) return res.status(404).json({ message: 'Opportunity not found' });
+    res.json(evaluateEligibility(opp.eligibility, req.user));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Preview any opportunity, including drafts, exactly as the public detail endpoint would return it
+router.get('/:id/preview', protect, employerOrAdmin, async (req, res) => {
   try {
     const opp = await Opportunity.findById(req.params.id).lean();
     if (!opp) return res.status(404).json({ message: 'Opportunity not found' });
-    res.json(opp);
+    if (!canManageOpportunity(req.user, opp)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
+    res.json({ ...withRemainingPositions(opp), preview: true });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Publish a draft immediately (admin or owning employer)
+router.post('/:id/publish', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const existing = await Opportunity.findById(req.params.id).select('companyId').lean();
+    if (!existing) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, existing)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
+    const { opportunity, error, status } = await publishOpportunity(existing._id, req.user);
+    if (error) return res.status(status).json({ message: error });
+    res.json(withRemainingPositions(opportunity));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Funnel analytics for one opportunity (admin or owning employer). ?from=&to= ISO dates, default last 30 days
+router.get('/:id/analytics', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id).select('title company companyId').lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, opportunity)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const { opportunities, ...report } = await funnelReport([opportunity._id], range);
+    res.json({ opportunity, ...report });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ?format=jsonld (or Accept: application/ld+json) returns schema.org JobPosting structured data.
+// Plain JSON requests count as a (deduplicated) view for funnel analytics.
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const opp = await Opportunity.findById(req.params.id).select('-rubric').lean();
+    if (!opp || opp.isDraft) return res.status(404).json({ message: 'Opportunity not found' });
+    const wantsJsonLd = req.query.format === 'jsonld' || req.get('accept')?.includes('application/ld+json');
+    if (wantsJsonLd) {
+      if (!isPublishable(opp)) return res.status(404).json({ message: 'Structured data is only available for open opportunities' });
+      const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+      const posting = toJobPosting(opp, { itemUrl: (o) => `${frontendUrl}/opportunities/${o._id}` });
+      const errors = validateJobPosting(posting);
+      if (errors.length) return res.status(422).json({ message: 'Opportunity is missing required JobPosting data', errors });
+      return res.type('application/ld+json').send(JSON.stringify(posting));
+    }
+    recordView(req, opp._id);
+    res.json(withRemainingPositions(opp));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -150,25 +400,67 @@ router.get('/:id', async (req, res) => {
 router.post(
   '/',
   protect,
-  adminOnly,
-  [
-    body('title').trim().notEmpty(),
-    body('company').trim().notEmpty(),
-    body('type').isIn(['internship', 'attachment']),
-    body('description').trim().notEmpty(),
-  ],
+  employerOrAdmin,
+  opportunityValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-      const opportunity = await Opportunity.create(req.body);
-      if (process.env.ADMIN_EMAIL) {
-        void sendAdminNewOpportunityEmail({
-          to: process.env.ADMIN_EMAIL,
-          title: opportunity.title,
-          company: opportunity.company,
-        });
+      const questionError = validateQuestionDefinitions(req.body.questions);
+      if (questionError) return res.status(400).json({ message: questionError });
+      const rubricError = validateRubricDefinition(req.body.rubric);
+      if (rubricError) return res.status(400).json({ message: rubricError });
+      const eligibilityError = validateEligibilityDefinition(req.body.eligibility);
+      if (eligibilityError) return res.status(400).json({ message: eligibilityError });
+      const data = { ...req.body, createdBy: req.user._id };
+      delete data.acceptedCount;
+      delete data.applicationCount;
+      delete data.saveCount;
+      delete data.publishedAt;
+      // A future publishAt implies a draft; drafts stay inactive until published
+      const publishAt = data.publishAt ? new Date(data.publishAt) : null;
+      data.isDraft = data.isDraft === true || data.isDraft === 'true' || (publishAt !== null && publishAt > new Date());
+      if (data.isDraft) {
+        data.isActive = false;
+        data.publishAt = publishAt || undefined;
+      } else {
+        delete data.publishAt;
+        data.publishedAt = new Date();
+      }
+      const locationError = applyStructuredLocation(data);
+      if (locationError) return res.status(400).json({ message: locationError });
+      if (req.user.role === 'employer') {
+        delete data.gracePeriodHours;
+        // Employers always post under their own company
+        const company = await Company.findById(req.user.companyId).lean();
+        if (!company || !company.isActive) return res.status(403).json({ message: 'Company account is not active' });
+        data.companyId = company._id;
+        data.company = company.name;
+        data.companyLogo = company.logo || data.companyLogo;
+      } else {
+        // Admin posts are linked to the company profile, which is created on first use
+        const company = await ensureCompany(data.company, { logo: data.companyLogo });
+        data.companyId = company._id;
+        data.company = company.name;
+        data.companyLogo = data.companyLogo || company.logo;
       }
+      // Only admins may knowingly post a near-identical opportunity
+      const allowDuplicates = req.user.role === 'admin' && flagParam(req, 'allowDuplicates');
+      delete data.allowDuplicates;
+      if (!allowDuplicates) {
+        const duplicates = await findDuplicateCandidates(data);
+        if (duplicates.length > 0) {
+          return res.status(409).json({
+            message: 'A similar opportunity from this company is already open',
+            duplicates,
+            ...(req.user.role === 'admin' && { hint: 'Send allowDuplicates=true to create it anyway' }),
+          });
+        }
+      }
+      const opportunity = await Opportunity.create(data);
+      await recordRevisionSafe({ opportunity, action: 'create', actor: req.user });
+      // Drafts notify the admin when they are published instead
+      if (!opportunity.isDraft) notifyAdminOfNewOpportunity(opportunity);
       res.status(201).json(opportunity);
     } catch (err) {
       res.status(500).json({ message: err.message });
@@ -176,24 +468,180 @@ router.post(
   }
 );
 
-const PATCH_WHITELIST = ['title', 'company', 'type', 'description', 'location', 'duration', 'applicationFee', 'isActive', 'deadline', 'category'];
-router.patch('/:id', protect, adminOnly, async (req, res) => {
+// Shared checks for content changes (PATCH and restore); normalizes location fields in `updates`.
+// Returns { status, message } or null.
+async function contentUpdateError(updates, existing) {
+  const questionError = validateQuestionDefinitions(updates.questions);
+  if (questionError) return { status: 400, message: questionError };
+  const rubricError = validateRubricDefinition(updates.rubric);
+  if (rubricError) return { status: 400, message: rubricError };
+  if ('rubric' in updates && (await hasSubmittedReviews(existing._id))) {
+    return { status: 409, message: 'The rubric cannot be changed once reviews have been submitted' };
+  }
+  const eligibilityError = validateEligibilityDefinition(updates.eligibility);
+  if (eligibilityError) return { status: 400, message: eligibilityError };
+  if ('location' in updates || 'locations' in updates || 'workMode' in updates) {
+    if (updates.locations !== undefined && updates.location === undefined && updates.workMode === undefined) {
+      updates.workMode = existing.workMode;
+    }
+    const locationError = applyStructuredLocation(updates);
+    if (locationError) return { status: 400, message: locationError };
+  }
+  if (updates.gracePeriodHours != null && !(Number(updates.gracePeriodHours) >= 0)) {
+    return { status: 400, message: 'Grace period must be a non-negative number of hours' };
+  }
+  if (updates.positions != null && !(Number.isInteger(Number(updates.positions)) && Number(updates.positions) >= 1)) {
+    return { status: 400, message: 'Positions must be a whole number of at least 1' };
+  }
+  return null;
+}
+
+const PATCH_WHITELIST = ['title', 'company', 'type', 'description', 'location', 'duration', 'applicationFee', 'isActive', 'deadline', 'gracePeriodHours', 'category', 'questions', 'rubric', 'eligibility', 'positions', 'waitlistEnabled', 'locations', 'workMode', 'publishAt'];
+// Employers cannot move a posting to another company or grant grace periods
+const EMPLOYER_LOCKED_FIELDS = ['company', 'gracePeriodHours'];
+router.patch('/:id', protect, employerOrAdmin, async (req, res) => {
   try {
+    const existing = await Opportunity.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, existing)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
     const updates = {};
     for (const k of PATCH_WHITELIST) {
+      if (req.user.role === 'employer' && EMPLOYER_LOCKED_FIELDS.includes(k)) continue;
       if (req.body[k] !== undefined) updates[k] = req.body[k];
     }
     if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields to update' });
+    if (existing.isDraft && 'isActive' in updates) {
+      return res.status(400).json({ message: 'Drafts are opened by publishing them' });
+    }
+    if ('publishAt' in updates) {
+      if (!existing.isDraft) return res.status(400).json({ message: 'Only drafts can be scheduled for publishing' });
+      if (updates.publishAt !== null && Number.isNaN(new Date(updates.publishAt).getTime())) {
+        return res.status(400).json({ message: 'publishAt must be a valid date' });
+      }
+    }
+    const contentError = await contentUpdateError(updates, existing);
+    if (contentError) return res.status(contentError.status).json({ message: contentError.message });
+    if (updates.company !== undefined && updates.company !== existing.company) {
+      if (typeof updates.company !== 'string' || !updates.company.trim()) return res.status(400).json({ message: 'Company is required' });
+      const company = await ensureCompany(updates.company);
+      Object.assign(updates, { company: company.name, companyId: company._id });
+    }
+    if (updates.isActive === true) Object.assign(updates, { closedAt: null, closedReason: null });
+    if (updates.isActive === false) Object.assign(updates, { closedAt: new Date(), closedReason: 'manual' });
     const opportunity = await Opportunity.findByIdAndUpdate(
       req.params.id,
       updates,
       { new: true }
     );
     if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    const action = existing.isActive && updates.isActive === false ? 'close' : 'update';
+    await recordRevisionSafe({ opportunity, before: existing, action, actor: req.user });
+    if ('positions' in updates) {
+      // Capacity changed: may now be full (close) or have free slots again
+      const synced = await syncPositions(opportunity._id, req.user);
+      return res.json(withRemainingPositions(synced));
+    }
+    res.json(opportunity);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Close an opportunity (admin or owning employer)
+router.post('/:id/close', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id);
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, opportunity)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
+    if (opportunity.isDraft) return res.status(400).json({ message: 'Drafts are not open; delete or leave them unpublished' });
+    const before = opportunity.toObject();
+    opportunity.isActive = false;
+    opportunity.closedAt = new Date();
+    opportunity.closedReason = 'manual';
+    await opportunity.save();
+    await recordRevisionSafe({ opportunity, before, action: 'close', actor: req.user });
     res.json(opportunity);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// Change history (newest first). Admins see any opportunity; employers only their own.
+router.get('/:id/history', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id).select('companyId').lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, opportunity)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
+    const revisions = await OpportunityRevision.find({ opportunityId: opportunity._id })
+      .sort({ version: -1 })
+      .select('-snapshot')
+      .populate('actorId', 'name email')
+      .lean();
+    res.json(revisions);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Full snapshot of one version
+router.get('/:id/history/:version', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id).select('companyId').lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, opportunity)) {
+      return res.status(403).json({ message: 'Not authorized to manage this opportunity' });
+    }
+    const revision = await OpportunityRevision.findOne({ opportunityId: opportunity._id, version: Number(req.params.version) })
+      .populate('actorId', 'name email')
+      .lean();
+    if (!revision) return res.status(404).json({ message: 'Version not found' });
+    res.json(revision);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+const RESTORABLE_FIELDS = [
+  'title', 'type', 'description', 'requirements', 'questions', 'rubric', 'eligibility', 'location', 'locations',
+  'workMode', 'duration', 'category', 'applicationFee', 'deadline', 'gracePeriodHours', 'positions', 'waitlistEnabled',
+];
+
+// Admin: restore the content of the opportunity to a previous version (validated like PATCH)
+router.post('/:id/history/:version/restore', protect, adminOnly, async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id);
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    const version = Number(req.params.version);
+    const revision = await OpportunityRevision.findOne({ opportunityId: opportunity._id, version }).lean();
+    if (!revision) return res.status(404).json({ message: 'Version not found' });
+    const before = opportunity.toObject();
+    // Only content is restored; open/draft state and the company link stay as they are now
+    const updates = {};
+    for (const { field } of diffSnapshots(snapshotOf(before), revision.snapshot)) {
+      if (RESTORABLE_FIELDS.includes(field)) updates[field] = revision.snapshot[field];
+    }
+    // Versions from before structured locations: re-derive them from the location text instead of clearing them
+    if ('locations' in updates && updates.locations == null) {
+      delete updates.locations;
+      updates.location ??= before.location;
+    }
+    if (Object.keys(updates).length === 0) return res.json({ message: 'Opportunity already matches this version', opportunity });
+    const contentError = await contentUpdateError(updates, before);
+    if (contentError) return res.status(contentError.status).json({ message: contentError.message });
+    for (const [field, value] of Object.entries(updates)) opportunity.set(field, value);
+    await opportunity.save();
+    const restored = await recordRevisionSafe({ opportunity, before, action: 'restore', actor: req.user, restoredFromVersion: version });
+    const result = 'positions' in updates ? withRemainingPositions(await syncPositions(opportunity._id, req.user)) : opportunity;
+    res.json({ message: `Restored version ${version}`, version: restored?.version, opportunity: result });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 export default router;
@@ -13,14 +13,33 @@ router.get('/', protect, async (req, res) => {
   res.json(req.user);
 });
 
-// PATCH /profile — update name, email, etc.
+function optionalInt(value, min, max) {
+  if (value === null || value === '') return { ok: true, value: undefined };
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) return { ok: false };
+  return { ok: true, value: num };
+}
+
+// PATCH /profile — update name, email and education details used for eligibility checks
 router.patch('/', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     if (!user) return res.status(401).json({ message: 'User not found' });
-    const { name, email } = req.body;
+    const { name, email, institution, fieldOfStudy, yearOfStudy, graduationYear } = req.body;
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email;
+    if (institution !== undefined) user.institution = institution || undefined;
+    if (fieldOfStudy !== undefined) user.fieldOfStudy = fieldOfStudy || undefined;
+    if (yearOfStudy !== undefined) {
+      const parsed = optionalInt(yearOfStudy, 1, 7);
+      if (!parsed.ok) return res.status(400).json({ message: 'Year of study must be a whole number between 1 and 7' });
+      user.yearOfStudy = parsed.value;
+    }
+    if (graduationYear !== undefined) {
+      const parsed = optionalInt(graduationYear, 1950, 2100);
+      if (!parsed.ok) return res.status(400).json({ message: 'Graduation year must be a valid year' });
+      user.graduationYear = parsed.value;
+    }
     await user.save();
     const out = user.toObject();
     delete out.password;
@@ -0,0 +1,112 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import PromoCode from '../models/PromoCode.js';
+import Application from '../models/Application.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+import { normalizeCode } from '../utils/promoCodes.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['description', 'discountType', 'amount', 'maxUses', 'expiresAt', 'opportunityIds', 'categories', 'emailDomains', 'isActive'];
+
+const promoCodeValidators = [
+  body('discountType').optional().isIn(['percent', 'fixed']).withMessage('discountType must be percent or fixed'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxUses must be a whole number of at least 1'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a valid date'),
+  body('opportunityIds').optional().isArray().withMessage('opportunityIds must be an array'),
+  body('opportunityIds.*').custom((id) => mongoose.isValidObjectId(id)).withMessage('Invalid opportunity id'),
+  body('categories').optional().isArray().withMessage('categories must be an array'),
+  body('categories.*').isString().trim().notEmpty().withMessage('Categories must be non-empty strings'),
+  body('emailDomains').optional().isArray().withMessage('emailDomains must be an array'),
+  body('emailDomains.*')
+    .customSanitizer((d) => (typeof d === 'string' ? d.trim().toLowerCase().replace(/^@/, '') : d))
+    .isFQDN()
+    .withMessage('Email domains must look like uonbi.ac.ke'),
+  body('isActive').optional().isBoolean(),
+];
+
+const createValidators = [
+  body('code')
+    .customSanitizer(normalizeCode)
+    .matches(/^[A-Z0-9_-]{3,32}$/)
+    .withMessage('Code must be 3-32 letters, digits, - or _'),
+  body('discountType').exists().withMessage('discountType is required'),
+  body('amount').exists().withMessage('Amount is required'),
+  ...promoCodeValidators,
+];
+
+function percentError(discountType, amount) {
+  if (discountType === 'percent' && Number(amount) > 100) return 'A percentage discount cannot exceed 100';
+  return null;
+}
+
+// Admin: list promo codes
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const codes = await PromoCode.find({}).sort({ createdAt: -1 }).lean();
+    res.json(codes);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: create a promo code (percent or fixed KES off the application fee; 100% is a full waiver)
+router.post('/', protect, adminOnly, createValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const percent = percentError(req.body.discountType, req.body.amount);
+    if (percent) return res.status(400).json({ message: percent });
+    const existing = await PromoCode.findOne({ code: req.body.code }).lean();
+    if (existing) return res.status(400).json({ message: 'Promo code already exists' });
+    const data = { code: req.body.code, createdBy: req.user._id };
+    for (const k of EDITABLE_FIELDS) {
+      if (req.body[k] !== undefined) data[k] = req.body[k];
+    }
+    const promo = await PromoCode.create(data);
+    res.status(201).json(promo);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: update terms, scope, cap or expiry. Applications that already hold the code keep the terms they got.
+router.patch('/:id', protect, adminOnly, promoCodeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) return res.status(404).json({ message: 'Promo code not found' });
+    for (const k of EDITABLE_FIELDS) {
+      if (req.body[k] !== undefined) promo.set(k, req.body[k]);
+    }
+    const percent = percentError(promo.discountType, promo.amount);
+    if (percent) return res.status(400).json({ message: percent });
+    await promo.save();
+    res.json(promo);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: delete an unused code; codes that have been used are deactivated instead to keep application history
+router.delete('/:id', protect, adminOnly, async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) return res.status(404).json({ message: 'Promo code not found' });
+    const used = await Application.exists({ 'promoCode.promoCodeId': promo._id });
+    if (used) {
+      promo.isActive = false;
+      await promo.save();
+      return res.json({ message: 'Promo code has been used, so it was deactivated instead of deleted', promoCode: promo });
+    }
+    await promo.deleteOne();
+    res.json({ message: 'Promo code deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,192 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import ApplicationReview from '../models/ApplicationReview.js';
+import Opportunity from '../models/Opportunity.js';
+import User from '../models/User.js';
+import { protect, adminOnly, employerOrAdmin, canManageOpportunity } from '../middleware/auth.js';
+import { logApplicationEvent } from '../utils/applicationTimeline.js';
+import { scoreReview, refreshReviewSummary, MAX_REVIEWERS } from '../utils/reviews.js';
+
+const router = express.Router();
+
+const SUMMARY_FIELDS = 'status opportunityId userId reviewScore reviewCount reviewSpread reviewDisagreement';
+const MAX_COMMENT_LENGTH = 5000;
+
+function reviewSummary(application) {
+  return {
+    reviewScore: application.reviewScore ?? null,
+    reviewCount: application.reviewCount || 0,
+    reviewSpread: application.reviewSpread ?? null,
+    reviewDisagreement: !!application.reviewDisagreement,
+  };
+}
+
+// Current user's review assignments, newest first. ?pending=true for ones not yet submitted
+router.get('/assigned', protect, employerOrAdmin, async (req, res) => {
+  try {
+    const filter = { reviewerId: req.user._id };
+    if (req.query.pending === 'true') filter.submittedAt = null;
+    const reviews = await ApplicationReview.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('applicationId', 'status createdAt')
+      .populate('opportunityId', 'title company')
+      .lean();
+    res.json(reviews);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Rubric, reviews and aggregate score for an application. Admins and the managing employer see every
+// review; other assigned reviewers see only their own until they have submitted it.
+router.get('/applications/:id', protect, employerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Application not found' });
+    const application = await Application.findById(req.params.id).select(SUMMARY_FIELDS).lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const opportunity = await Opportunity.findById(application.opportunityId).select('title companyId rubric').lean();
+    const reviews = await ApplicationReview.find({ applicationId: application._id })
+      .sort({ createdAt: 1 })
+      .populate('reviewerId', 'name email')
+      .lean();
+    const own = reviews.find((r) => String(r.reviewerId?._id) === String(req.user._id));
+    const manager = canManageOpportunity(req.user, opportunity);
+    if (!manager && !own) return res.status(403).json({ message: 'Not authorized to view reviews for this application' });
+    const seesAll = manager || !!own?.submittedAt;
+    res.json({
+      applicationId: application._id,
+      opportunity: opportunity ? { _id: opportunity._id, title: opportunity.title } : null,
+      rubric: opportunity?.rubric || [],
+      summary: seesAll ? reviewSummary(application) : null,
+      reviews: seesAll ? reviews : [own],
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: assign reviewers (body: { reviewerIds }). Reviewers are admins or employers of the opportunity's company.
+router.post('/applications/:id/reviewers', protect, adminOnly, async (req, res) => {
+  try {
+    const { reviewerIds } = req.body;
+    if (!Array.isArray(reviewerIds) || reviewerIds.length === 0) {
+      return res.status(400).json({ message: 'reviewerIds must be a non-empty array' });
+    }
+    if (!reviewerIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'reviewerIds contains an invalid id' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Application not found' });
+    const application = await Application.findById(req.params.id).select('status opportunityId userId').lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (application.status === 'pending_payment') {
+      return res.status(400).json({ message: 'Reviewers can only be assigned once the application is submitted' });
+    }
+    const opportunity = await Opportunity.findById(application.opportunityId).select('companyId').lean();
+    const uniqueIds = [...new Set(reviewerIds.map(String))];
+    const users = await User.find({ _id: { $in: uniqueIds } }).select('name email role companyId').lean();
+    const byId = new Map(users.map((u) => [String(u._id), u]));
+    for (const id of uniqueIds) {
+      const user = byId.get(id);
+      if (!user) return res.status(400).json({ message: `Reviewer ${id} not found` });
+      if (String(user._id) === String(application.userId)) {
+        return res.status(400).json({ message: 'Applicants cannot review their own application' });
+      }
+      if (!canManageOpportunity(user, opportunity)) {
+        return res.status(400).json({ message: `${user.name || user.email} cannot review applications for this opportunity` });
+      }
+    }
+    const existing = await ApplicationReview.find({ applicationId: application._id }).select('reviewerId').lean();
+    const assigned = new Set(existing.map((r) => String(r.reviewerId)));
+    const added = uniqueIds.filter((id) => !assigned.has(id));
+    if (assigned.size + added.length > MAX_REVIEWERS) {
+      return res.status(400).json({ message: `At most ${MAX_REVIEWERS} reviewers can be assigned to an application` });
+    }
+    for (const id of added) {
+      await ApplicationReview.updateOne(
+        { applicationId: application._id, reviewerId: id },
+        { $setOnInsert: { opportunityId: application.opportunityId, assignedBy: req.user._id } },
+        { upsert: true }
+      );
+      const reviewer = byId.get(id);
+      await logApplicationEvent({
+        application,
+        type: 'reviewer_assigned',
+        actor: req.user,
+        visibility: 'internal',
+        data: { reviewerId: reviewer._id, reviewerName: reviewer.name },
+      });
+    }
+    const reviews = await ApplicationReview.find({ applicationId: application._id })
+      .sort({ createdAt: 1 })
+      .populate('reviewerId', 'name email')
+      .lean();
+    res.status(added.length ? 201 : 200).json({ added: added.length, reviews });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: remove a reviewer; a submitted review is discarded and the aggregate recomputed
+router.delete('/applications/:id/reviewers/:reviewerId', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.reviewerId)) {
+      return res.status(404).json({ message: 'Reviewer assignment not found' });
+    }
+    const review = await ApplicationReview.findOneAndDelete({ applicationId: req.params.id, reviewerId: req.params.reviewerId })
+      .populate('reviewerId', 'name')
+      .lean();
+    if (!review) return res.status(404).json({ message: 'Reviewer assignment not found' });
+    const summary = review.submittedAt ? await refreshReviewSummary(review.applicationId) : undefined;
+    await logApplicationEvent({
+      application: review.applicationId,
+      type: 'reviewer_removed',
+      actor: req.user,
+      visibility: 'internal',
+      data: { reviewerId: req.params.reviewerId, reviewerName: review.reviewerId?.name, hadSubmitted: !!review.submittedAt },
+    });
+    res.json({ message: 'Reviewer removed', summary });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Assigned reviewer: submit or revise scores (body: { scores: { <criterionId>: score }, comment })
+router.put('/applications/:id', protect, employerOrAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Application not found' });
+    const review = await ApplicationReview.findOne({ applicationId: req.params.id, reviewerId: req.user._id });
+    if (!review) return res.status(403).json({ message: 'You are not assigned to review this application' });
+    const application = await Application.findById(review.applicationId).select('status opportunityId').lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const opportunity = await Opportunity.findById(application.opportunityId).select('rubric').lean();
+    if (!opportunity?.rubric?.length) {
+      return res.status(400).json({ message: 'This opportunity has no review rubric yet' });
+    }
+    const { comment } = req.body;
+    if (comment != null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      return res.status(400).json({ message: `Comment must be text of at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+    const { errors, scores, total } = scoreReview(opportunity.rubric, req.body.scores);
+    if (errors.length) return res.status(400).json({ message: 'Invalid scores', errors });
+    const resubmitted = !!review.submittedAt;
+    review.scores = scores;
+    review.total = total;
+    review.comment = comment?.trim() || undefined;
+    review.submittedAt = new Date();
+    await review.save();
+    const summary = await refreshReviewSummary(review.applicationId);
+    await logApplicationEvent({
+      application: review.applicationId,
+      type: 'review_submitted',
+      actor: req.user,
+      visibility: 'internal',
+      data: { total, resubmitted },
+    });
+    res.json({ review, summary });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import SavedSearch from '../models/SavedSearch.js';
+import { protect } from '../middleware/auth.js';
+import { FILTER_FIELDS, buildListingFilters } from '../utils/opportunityFilters.js';
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Saved filters are stored as the query strings the listing takes (radiusKm may be sent as a number)
+function pickFilters(input = {}) {
+  const filters = {};
+  for (const k of FILTER_FIELDS) {
+    const value = typeof input[k] === 'number' ? String(input[k]) : input[k];
+    if (typeof value === 'string' && value.trim()) filters[k] = value.trim();
+  }
+  return filters;
+}
+
+const savedSearchValidators = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('frequency').optional().isIn(FREQUENCIES).withMessage('Frequency must be instant, daily or weekly'),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('filters.type').optional({ checkFalsy: true }).isIn(['internship', 'attachment']).withMessage('Type must be internship or attachment'),
+  body('isActive').optional().isBoolean(),
+];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function unsubscribePage(res, status, body) {
+  res.status(status).type('html').send(`<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>CareerStart alerts</title></head><body style="font-family: sans-serif; max-width: 480px; margin: 48px auto;">${body}</body></html>`);
+}
+
+// Unsubscribe link from alert emails (public; token identifies the saved search). Only shows a confirmation:
+// mail scanners and link prefetchers follow GET links, so the change itself needs the POST below.
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ unsubscribeToken: req.params.token }).select('name isActive').lean();
+    if (!search) return unsubscribePage(res, 404, '<p>This alert no longer exists.</p>');
+    if (!search.isActive) return unsubscribePage(res, 200, `<p>You are not receiving alerts for "${escapeHtml(search.name)}".</p>`);
+    unsubscribePage(res, 200, `
+      <p>Stop receiving alerts for "${escapeHtml(search.name)}"?</p>
+      <form method="post"><button type="submit">Unsubscribe</button></form>`);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Unsubscribe: the confirmation form above and one-click unsubscribe from mail clients (List-Unsubscribe-Post)
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { isActive: false },
+      { new: true }
+    );
+    const fromBrowser = req.accepts(['json', 'html']) === 'html';
+    if (!search) {
+      return fromBrowser ? unsubscribePage(res, 404, '<p>This alert no longer exists.</p>') : res.status(404).json({ message: 'Saved search not found' });
+    }
+    const message = `You will no longer receive alerts for "${search.name}"`;
+    if (fromBrowser) return unsubscribePage(res, 200, `<p>${escapeHtml(message)}.</p>`);
+    res.json({ message });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// List my saved searches
+router.get('/', protect, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user._id })
+      .select('-unsubscribeToken')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(searches);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Save a filter set (body: { name, filters: { category, location, type, duration, search, county, workMode,
+// near, radiusKm }, frequency })
+router.post('/', protect, savedSearchValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const filters = pickFilters(req.body.filters);
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({ message: 'At least one filter is required' });
+    }
+    const filterError = buildListingFilters(filters).error;
+    if (filterError) return res.status(400).json({ message: filterError });
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+    const name = req.body.name || filters.search || Object.values(filters).join(', ');
+    const search = await SavedSearch.create({
+      userId: req.user._id,
+      name,
+      filters,
+      frequency: req.body.frequency || 'daily',
+    });
+    const out = search.toObject();
+    delete out.unsubscribeToken;
+    res.status(201).json(out);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Update name, filters, frequency or pause/resume alerts
+router.patch('/:id', protect, savedSearchValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+    const { name, filters, frequency, isActive } = req.body;
+    if (name !== undefined) search.name = name;
+    if (frequency !== undefined) search.frequency = frequency;
+    if (filters !== undefined) {
+      const picked = pickFilters(filters);
+      if (Object.keys(picked).length === 0) {
+        return res.status(400).json({ message: 'At least one filter is required' });
+      }
+      const filterError = buildListingFilters(picked).error;
+      if (filterError) return res.status(400).json({ message: filterError });
+      search.filters = picked;
+    }
+    if (isActive !== undefined) {
+      // Resuming starts from now so the user isn't flooded with everything missed while paused
+      if (isActive && !search.isActive) search.lastAlertAt = new Date();
+      search.isActive = isActive;
+    }
+    await search.save();
+    const out = search.toObject();
+    delete out.unsubscribeToken;
+    res.json(out);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+    res.json({ message: 'Saved search deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
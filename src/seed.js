@@ -5,6 +5,8 @@
 import 'dotenv/config';
 import mongoose from 'mongoose';
 import Opportunity from './models/Opportunity.js';
+import { applyStructuredLocation } from './utils/locations.js';
+import { ensureCompany } from './utils/companies.js';
 
 const baseDate = () => new Date(Date.now() + Math.floor(Math.random() * 90 + 14) * 24 * 60 * 60 * 1000);
 
@@ -88,6 +90,12 @@ const opportunities = [
 async function seed() {
   await mongoose.connect(process.env.MONGODB_URI);
   await Opportunity.deleteMany({});
+  const companyIds = new Map();
+  for (const opp of opportunities) {
+    applyStructuredLocation(opp);
+    if (!companyIds.has(opp.company)) companyIds.set(opp.company, (await ensureCompany(opp.company))._id);
+    opp.companyId = companyIds.get(opp.company);
+  }
   await Opportunity.insertMany(opportunities);
   console.log('Seeded', opportunities.length, 'opportunities');
   process.exit(0);
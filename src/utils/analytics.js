@@ -0,0 +1,158 @@
+/**
+ * Opportunity funnel analytics: views -> saves -> pending_payment (application started)
+ * -> submitted (paid) -> accepted. Events are recorded fire-and-forget so tracking never
+ * breaks the request that triggered it.
+ */
+
+import crypto from 'crypto';
+import OpportunityEvent from '../models/OpportunityEvent.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_RANGE_DAYS = 30;
+export const MAX_RANGE_DAYS = 366;
+
+// Funnel stages in order, with the event type that marks each one
+export const FUNNEL_STAGES = [
+  { stage: 'views', event: 'view' },
+  { stage: 'saves', event: 'save' },
+  { stage: 'pending_payment', event: 'start' },
+  { stage: 'submitted', event: 'submit' },
+  { stage: 'accepted', event: 'accept' },
+];
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+async function record({ type, opportunityId, userId, applicationId, dedupeKey }) {
+  if (!opportunityId) return;
+  const now = new Date();
+  try {
+    await OpportunityEvent.updateOne(
+      { dedupeKey },
+      { $setOnInsert: { type, opportunityId, userId, applicationId, day: dayOf(now), dedupeKey } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // A concurrent duplicate insert is expected; anything else is logged and ignored
+    if (err?.code !== 11000) console.error(`[Analytics] Failed to record ${type} event:`, err.message);
+  }
+}
+
+// One view per visitor per opportunity per day. Anonymous visitors are keyed by a hash of IP + user agent.
+export function recordView(req, opportunityId) {
+  const visitor = req.user?._id
+    ? `u:${req.user._id}`
+    : `a:${crypto.createHash('sha256').update(`${req.ip}|${req.get('user-agent') || ''}`).digest('hex').slice(0, 32)}`;
+  void record({
+    type: 'view',
+    opportunityId,
+    userId: req.user?._id,
+    dedupeKey: `view:${opportunityId}:${visitor}:${dayOf(new Date())}`,
+  });
+}
+
+export function recordSaveToggle(userId, opportunityId, saved) {
+  const type = saved ? 'save' : 'unsave';
+  void record({ type, opportunityId, userId, dedupeKey: `${type}:${opportunityId}:${userId}:${dayOf(new Date())}` });
+}
+
+// Application stage reached: 'start' (pending_payment), 'submit' (paid) or 'accept'. Counted once per application.
+export function recordApplicationEvent(type, application) {
+  const opportunityId = application?.opportunityId?._id || application?.opportunityId;
+  const userId = application?.userId?._id || application?.userId;
+  void record({ type, opportunityId, userId, applicationId: application?._id, dedupeKey: `${type}:${application?._id}` });
+}
+
+/**
+ * Parse ?from=&to= (ISO dates). Defaults to the last DEFAULT_RANGE_DAYS days.
+ * Returns { from, to } or { error }.
+ */
+export function parseRange({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: 'from and to must be valid dates' };
+  start.setUTCHours(0, 0, 0, 0);
+  end.setUTCHours(23, 59, 59, 999);
+  if (start > end) return { error: 'from must be before to' };
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) return { error: `Range cannot exceed ${MAX_RANGE_DAYS} days` };
+  return { from: start, to: end };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+function emptyCounts() {
+  return Object.fromEntries(FUNNEL_STAGES.map((s) => [s.stage, 0]));
+}
+
+const STAGE_BY_EVENT = Object.fromEntries(FUNNEL_STAGES.map((s) => [s.event, s.stage]));
+
+/**
+ * Funnel for a set of opportunities over a date range: stage totals with step conversion,
+ * a zero-filled daily series, per-opportunity totals, and the pending_payment -> submitted
+ * drop-off for applications started in the range.
+ */
+export async function funnelReport(opportunityIds, { from, to }) {
+  const match = {
+    opportunityId: { $in: opportunityIds },
+    type: { $in: FUNNEL_STAGES.map((s) => s.event) },
+    createdAt: { $gte: from, $lte: to },
+  };
+  const [daily, perOpportunity, started] = await Promise.all([
+    OpportunityEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { day: '$day', type: '$type' }, count: { $sum: 1 } } },
+    ]),
+    OpportunityEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { opportunityId: '$opportunityId', type: '$type' }, count: { $sum: 1 } } },
+    ]),
+    OpportunityEvent.find({ ...match, type: 'start' }).distinct('applicationId'),
+  ]);
+  // Cohort drop-off: of the applications started in range, how many were paid (at any time since)
+  const submittedFromCohort = started.length
+    ? await OpportunityEvent.countDocuments({ type: 'submit', applicationId: { $in: started } })
+    : 0;
+
+  const totals = emptyCounts();
+  const byDay = new Map();
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    byDay.set(dayOf(new Date(t)), { date: dayOf(new Date(t)), ...emptyCounts() });
+  }
+  for (const { _id, count } of daily) {
+    const stage = STAGE_BY_EVENT[_id.type];
+    totals[stage] += count;
+    const row = byDay.get(_id.day);
+    if (row) row[stage] += count;
+  }
+
+  const opportunities = new Map();
+  for (const { _id, count } of perOpportunity) {
+    const key = String(_id.opportunityId);
+    if (!opportunities.has(key)) opportunities.set(key, { opportunityId: _id.opportunityId, ...emptyCounts() });
+    opportunities.get(key)[STAGE_BY_EVENT[_id.type]] += count;
+  }
+
+  return {
+    range: { from, to },
+    funnel: FUNNEL_STAGES.map(({ stage }, i) => ({
+      stage,
+      count: totals[stage],
+      conversionFromPrevious: i === 0 ? null : rate(totals[stage], totals[FUNNEL_STAGES[i - 1].stage]),
+    })),
+    paymentDropOff: {
+      started: started.length,
+      submitted: submittedFromCohort,
+      abandoned: started.length - submittedFromCohort,
+      dropOffRate: rate(started.length - submittedFromCohort, started.length),
+    },
+    daily: [...byDay.values()],
+    opportunities: [...opportunities.values()].map((o) => ({
+      ...o,
+      submitRate: rate(o.submitted, o.pending_payment),
+      viewToApplyRate: rate(o.pending_payment, o.views),
+    })),
+  };
+}
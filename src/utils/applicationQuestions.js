@@ -0,0 +1,113 @@
+/**
+ * Custom screening questions defined on an Opportunity and answered in POST /api/applications.
+ * Answers arrive as a JSON object keyed by question id; file answers as multipart field `answer_<questionId>`.
+ */
+
+import { validateDocFile } from './fileValidation.js';
+
+export const QUESTION_TYPES = ['short_answer', 'multiple_choice', 'yes_no', 'number', 'file'];
+const MAX_QUESTIONS = 20;
+const DEFAULT_MAX_LENGTH = 1000;
+
+export function answerFileField(questionId) {
+  return `answer_${questionId}`;
+}
+
+// Returns an error message for an invalid questions array, or null
+export function validateQuestionDefinitions(questions) {
+  if (questions === undefined || questions === null) return null;
+  if (!Array.isArray(questions)) return 'Questions must be an array';
+  if (questions.length > MAX_QUESTIONS) return `At most ${MAX_QUESTIONS} questions are allowed`;
+  for (const [i, q] of questions.entries()) {
+    const n = i + 1;
+    if (!q || typeof q.label !== 'string' || !q.label.trim()) return `Question ${n}: label is required`;
+    if (!QUESTION_TYPES.includes(q.type)) return `Question ${n}: type must be one of ${QUESTION_TYPES.join(', ')}`;
+    if (q.type === 'multiple_choice') {
+      const options = Array.isArray(q.options) ? q.options.filter((o) => typeof o === 'string' && o.trim()) : [];
+      if (options.length < 2) return `Question ${n}: multiple choice needs at least 2 options`;
+    }
+    if (q.type === 'number' && q.min != null && q.max != null && Number(q.min) > Number(q.max)) {
+      return `Question ${n}: min cannot be greater than max`;
+    }
+  }
+  return null;
+}
+
+function parseAnswerMap(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return null;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Validate submitted answers against the opportunity's questions.
+ * Returns { errors, answers, fileUploads } — file answers are listed in fileUploads for the caller to upload.
+ */
+export function validateAnswers(questions = [], rawAnswers, filesByField = {}) {
+  const errors = [];
+  const answers = [];
+  const fileUploads = [];
+  const answerMap = parseAnswerMap(rawAnswers);
+  if (answerMap === null) return { errors: [{ message: 'Answers must be valid JSON' }], answers, fileUploads };
+
+  for (const q of questions) {
+    const id = q._id.toString();
+    const base = { questionId: q._id, label: q.label, type: q.type };
+    const fail = (message) => errors.push({ questionId: id, label: q.label, message });
+
+    if (q.type === 'file') {
+      const file = filesByField[answerFileField(id)]?.[0];
+      if (!file) {
+        if (q.required) fail('A file is required');
+        continue;
+      }
+      const check = validateDocFile(file);
+      if (!check.valid) {
+        fail(check.message);
+        continue;
+      }
+      fileUploads.push({ question: q, file });
+      continue;
+    }
+
+    const value = answerMap[id];
+    if (isBlank(value)) {
+      if (q.required) fail('An answer is required');
+      continue;
+    }
+
+    if (q.type === 'short_answer') {
+      const text = String(value).trim();
+      const maxLength = q.maxLength || DEFAULT_MAX_LENGTH;
+      if (text.length > maxLength) fail(`Answer must be at most ${maxLength} characters`);
+      else answers.push({ ...base, value: text });
+    } else if (q.type === 'multiple_choice') {
+      const picked = Array.isArray(value) ? value.map(String) : [String(value)];
+      if (!q.allowMultiple && picked.length > 1) fail('Only one option may be selected');
+      else if (picked.some((p) => !q.options.includes(p))) fail('Invalid option selected');
+      else answers.push({ ...base, value: q.allowMultiple ? picked : picked[0] });
+    } else if (q.type === 'yes_no') {
+      const normalized = typeof value === 'boolean' ? value : String(value).toLowerCase();
+      if (normalized === true || normalized === 'yes' || normalized === 'true') answers.push({ ...base, value: true });
+      else if (normalized === false || normalized === 'no' || normalized === 'false') answers.push({ ...base, value: false });
+      else fail('Answer must be yes or no');
+    } else if (q.type === 'number') {
+      const num = Number(value);
+      if (!Number.isFinite(num)) fail('Answer must be a number');
+      else if (q.min != null && num < q.min) fail(`Answer must be at least ${q.min}`);
+      else if (q.max != null && num > q.max) fail(`Answer must be at most ${q.max}`);
+      else answers.push({ ...base, value: num });
+    }
+  }
+
+  return { errors, answers, fileUploads };
+}
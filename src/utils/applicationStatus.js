@@ -0,0 +1,125 @@
+/**
+ * Application status state machine. Every status change goes through transitionApplication so the
+ * legal moves, who may make them and which ones need a reason are defined in one place.
+ *
+ * Actor roles: 'applicant' (the application's owner, e.g. paying or declining an offer), 'admin',
+ * and 'system' (Paystack webhook and other unattended jobs such as lapsing offers).
+ */
+
+import Application from '../models/Application.js';
+import Offer from '../models/Offer.js';
+import { recordApplicationEvent } from './analytics.js';
+import { logApplicationEvent } from './applicationTimeline.js';
+import { inviteShortlisted, releaseUpcomingInterview } from './interviews.js';
+
+export const APPLICATION_STATUSES = ['pending_payment', 'submitted', 'under_review', 'shortlisted', 'rejected', 'accepted', 'declined'];
+
+const ADMIN = ['admin'];
+const PAYMENT = ['applicant', 'system'];
+const OFFER_RESPONSE = ['applicant', 'system'];
+
+// from -> to -> { roles, requiresReason }
+export const STATUS_TRANSITIONS = {
+  pending_payment: {
+    submitted: { roles: PAYMENT }, // payment confirmed or fee waived
+  },
+  submitted: {
+    under_review: { roles: ADMIN },
+    shortlisted: { roles: ADMIN },
+    accepted: { roles: ADMIN },
+    rejected: { roles: ADMIN, requiresReason: true },
+  },
+  under_review: {
+    shortlisted: { roles: ADMIN },
+    accepted: { roles: ADMIN },
+    rejected: { roles: ADMIN, requiresReason: true },
+  },
+  shortlisted: {
+    under_review: { roles: ADMIN },
+    accepted: { roles: ADMIN },
+    rejected: { roles: ADMIN, requiresReason: true },
+  },
+  accepted: {
+    rejected: { roles: ADMIN, requiresReason: true }, // offer rescinded
+    declined: { roles: OFFER_RESPONSE }, // offer declined by the student or lapsed
+  },
+  rejected: {
+    under_review: { roles: ADMIN, requiresReason: true }, // reopened
+  },
+};
+
+export function actorRole(actor, application) {
+  if (!actor) return 'system';
+  const ownerId = application?.userId?._id || application?.userId;
+  if (ownerId && String(ownerId) === String(actor._id)) return 'applicant';
+  return actor.role;
+}
+
+// Statuses the given role may move an application to from `from`
+export function allowedTransitions(from, role) {
+  return Object.entries(STATUS_TRANSITIONS[from] || {})
+    .filter(([, rule]) => rule.roles.includes(role))
+    .map(([to]) => to);
+}
+
+/**
+ * Check a move without applying it. Returns null when legal, otherwise { status, message, allowed }:
+ * 409 for an illegal move (or one this role may not make), 400 when a required reason is missing.
+ */
+export function transitionError(from, to, role, { reason } = {}) {
+  const rule = STATUS_TRANSITIONS[from]?.[to];
+  if (!rule || !rule.roles.includes(role)) {
+    return {
+      status: 409,
+      message: `Cannot change status from ${from} to ${to}`,
+      allowed: allowedTransitions(from, role),
+    };
+  }
+  if (rule.requiresReason && !(typeof reason === 'string' && reason.trim())) {
+    return { status: 400, message: `A reason is required to move an application from ${from} to ${to}` };
+  }
+  return null;
+}
+
+/**
+ * Move `application` (a document or lean object with _id, status and userId) to `to`.
+ * The update is conditional on the status still being `application.status`, so concurrent changes
+ * (e.g. webhook and verify-payment racing) yield a 409 instead of a double transition.
+ * `set` holds extra fields written in the same update. Returns { application } or { error }.
+ */
+export async function transitionApplication(application, to, { actor = null, reason, set = {}, internalNote, externalNote, data } = {}) {
+  const from = application.status;
+  const role = actorRole(actor, application);
+  const error = transitionError(from, to, role, { reason });
+  if (error) return { error };
+
+  const updates = { ...set, status: to };
+  if (to === 'shortlisted') updates.shortlistedAt = new Date();
+  const updated = await Application.findOneAndUpdate({ _id: application._id, status: from }, { $set: updates }, { new: true });
+  if (!updated) {
+    return { error: { status: 409, message: 'Application status changed in the meantime; reload and try again' } };
+  }
+
+  if (from === 'pending_payment' && to === 'submitted') recordApplicationEvent('submit', updated);
+  if (to === 'accepted') recordApplicationEvent('accept', updated);
+  await logApplicationEvent({
+    application: updated,
+    type: 'status_changed',
+    actor,
+    fromStatus: from,
+    toStatus: to,
+    // The reason is staff-only; applicants see externalNote
+    internalNote: internalNote ?? reason?.trim(),
+    externalNote,
+    data,
+  });
+  // Only shortlisted applicants interview: they are invited to book (once slots exist), and leaving the
+  // shortlist frees a slot that is still ahead
+  if (to === 'shortlisted') await inviteShortlisted(updated.opportunityId, { applicationIds: [updated._id], actor });
+  if (from === 'shortlisted') await releaseUpcomingInterview(updated._id, actor);
+  // An offer only stands while the application is accepted
+  if (from === 'accepted' && to !== 'declined') {
+    await Offer.updateMany({ applicationId: updated._id, status: 'pending' }, { $set: { status: 'withdrawn' } });
+  }
+  return { application: updated };
+}
@@ -0,0 +1,71 @@
+/**
+ * Application timeline events. Logging never fails the request that triggered it.
+ */
+
+import ApplicationEvent from '../models/ApplicationEvent.js';
+
+export const MAX_NOTE_LENGTH = 2000;
+
+function cleanNote(note) {
+  if (typeof note !== 'string') return undefined;
+  const trimmed = note.trim().slice(0, MAX_NOTE_LENGTH);
+  return trimmed || undefined;
+}
+
+/**
+ * Record an event. `actor` is the user who caused it (omit for system events).
+ * Notes-only events are external only when they carry an external note.
+ */
+export async function logApplicationEvent({ application, type, actor = null, fromStatus, toStatus, internalNote, externalNote, data, visibility }) {
+  const applicationId = application?._id || application;
+  if (!applicationId) return null;
+  const notes = { internalNote: cleanNote(internalNote), externalNote: cleanNote(externalNote) };
+  const resolvedVisibility = visibility || (type === 'note' && !notes.externalNote ? 'internal' : 'external');
+  try {
+    return await ApplicationEvent.create({
+      applicationId,
+      type,
+      visibility: resolvedVisibility,
+      fromStatus,
+      toStatus,
+      actorId: actor?._id,
+      actorRole: actor?.role || 'system',
+      ...notes,
+      data,
+    });
+  } catch (err) {
+    console.error(`[Timeline] Failed to record ${type} for application ${applicationId}:`, err.message);
+    return null;
+  }
+}
+
+// Payment, refund and promo code events are for admins (and the applicant's own external ones) only
+const MONEY_EVENT_TYPES = [
+  'payment_initiated', 'payment_received', 'payment_underpaid', 'payment_unmatched',
+  'promo_code_applied', 'promo_code_removed', 'refund_initiated', 'refund_completed',
+];
+
+/**
+ * Events oldest first. Admins (`full: true`) get everything with the actor populated. Employers managing
+ * the opportunity (`employer: true`) get every event except money ones, without internal notes or staff
+ * identities. Applicants get external events only, likewise stripped.
+ */
+export async function applicationTimeline(applicationId, { full, employer = false }) {
+  if (employer) {
+    return ApplicationEvent.find({ applicationId, type: { $nin: MONEY_EVENT_TYPES } })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('-internalNote -actorId')
+      .lean();
+  }
+  if (full) {
+    return ApplicationEvent.find({ applicationId })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('actorId', 'name email')
+      .lean();
+  }
+  const events = await ApplicationEvent.find({ applicationId, visibility: 'external' })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('-internalNote -actorId')
+    .lean();
+  return events;
+}
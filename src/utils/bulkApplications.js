@@ -0,0 +1,181 @@
+/**
+ * Bulk status changes and messages for admins. Each application goes through the same state machine,
+ * position reservation and timeline logging as a single PATCH; the result is a per-item report.
+ * Emails are queued on the throttled email queue instead of being sent inline.
+ */
+
+import Application from '../models/Application.js';
+import Opportunity from '../models/Opportunity.js';
+import Message from '../models/Message.js';
+import { actorRole, transitionError, transitionApplication } from './applicationStatus.js';
+import { logApplicationEvent } from './applicationTimeline.js';
+import { reservePosition, releasePosition, syncPositions, remainingPositions } from './positions.js';
+import { enqueueEmail } from './emailQueue.js';
+import { sendApplicationStatusChangedEmail, sendApplicationMessageEmail } from './sendEmail.js';
+
+export const MAX_BULK_APPLICATIONS = 1000;
+export const MAX_BULK_MESSAGE_LENGTH = 5000;
+
+const APPLICATION_FIELDS = 'status opportunityId userId';
+
+/**
+ * Resolve the target applications from explicit ids or a filter ({ opportunityId, status }).
+ * Returns { applications, missingIds } or { error } when the selection is too large.
+ */
+export async function selectApplications({ applicationIds, filter }) {
+  let applications;
+  let missingIds = [];
+  if (applicationIds) {
+    const unique = [...new Set(applicationIds.map(String))];
+    if (unique.length > MAX_BULK_APPLICATIONS) {
+      return { error: `At most ${MAX_BULK_APPLICATIONS} applications can be updated at once` };
+    }
+    applications = await Application.find({ _id: { $in: unique } })
+      .select(APPLICATION_FIELDS)
+      .populate('userId', 'name email')
+      .lean();
+    const found = new Set(applications.map((a) => String(a._id)));
+    missingIds = unique.filter((id) => !found.has(id));
+  } else {
+    const query = { opportunityId: filter.opportunityId };
+    if (filter.status) query.status = filter.status;
+    const count = await Application.countDocuments(query);
+    if (count > MAX_BULK_APPLICATIONS) {
+      return { error: `The filter matches ${count} applications; at most ${MAX_BULK_APPLICATIONS} can be updated at once` };
+    }
+    applications = await Application.find(query)
+      .sort({ createdAt: 1 })
+      .select(APPLICATION_FIELDS)
+      .populate('userId', 'name email')
+      .lean();
+  }
+  return { applications, missingIds };
+}
+
+function reportItem(application, outcome, extra = {}) {
+  return {
+    applicationId: application._id,
+    applicant: application.userId?.name || application.userId?.email || null,
+    fromStatus: application.status,
+    outcome,
+    ...extra,
+  };
+}
+
+function queueEmails({ application, opportunity, status, message, subject, messageId }) {
+  const user = application.userId;
+  if (!user?.email || !opportunity?.title) return false;
+  enqueueEmail(async () => {
+    const result = status
+      ? await sendApplicationStatusChangedEmail({ to: user.email, name: user.name, opportunityTitle: opportunity.title, status, message })
+      : await sendApplicationMessageEmail({ to: user.email, name: user.name, opportunityTitle: opportunity.title, subject, message });
+    if (messageId) await Message.updateOne({ _id: messageId }, { emailSent: !!result.ok, sentAt: new Date() });
+    return result;
+  }, `application ${application._id}`);
+  return true;
+}
+
+/**
+ * Apply `status` (optional) and/or send `message` (optional) to each application.
+ * With dryRun nothing is written or sent; outcomes read "would_update" / "would_message" and
+ * position limits are simulated in memory.
+ * Outcomes: updated, messaged, skipped (already in that status), failed (with reason), or the dry-run forms.
+ */
+export async function bulkUpdateApplications(applications, { status, reason, message, subject, internalNote, actor, dryRun = false }) {
+  const opportunityIds = [...new Set(applications.map((a) => String(a.opportunityId)))];
+  const opportunities = await Opportunity.find({ _id: { $in: opportunityIds } })
+    .select('title positions acceptedCount waitlistEnabled')
+    .lean();
+  const opportunityById = new Map(opportunities.map((o) => [String(o._id), o]));
+  // Dry run: slots left per opportunity (null = unlimited)
+  const simulatedSlots = new Map(opportunities.map((o) => [String(o._id), remainingPositions(o)]));
+  const touchedPositions = new Set();
+
+  const items = [];
+  let emailsQueued = 0;
+  for (const application of applications) {
+    const opportunity = opportunityById.get(String(application.opportunityId));
+    try {
+      if (status) {
+        if (application.status === status) {
+          items.push(reportItem(application, 'skipped', { reason: `Already ${status}` }));
+          continue;
+        }
+        const illegal = transitionError(application.status, status, actorRole(actor, application), { reason });
+        if (illegal) {
+          items.push(reportItem(application, 'failed', { reason: illegal.message, allowed: illegal.allowed }));
+          continue;
+        }
+        const accepting = status === 'accepted' && opportunity;
+        if (dryRun) {
+          const key = String(application.opportunityId);
+          const slots = simulatedSlots.get(key);
+          if (slots !== null && slots !== undefined) {
+            if (accepting && slots === 0) {
+              items.push(reportItem(application, 'failed', { reason: 'All positions are filled' }));
+              continue;
+            }
+            if (accepting) simulatedSlots.set(key, slots - 1);
+            else if (application.status === 'accepted') simulatedSlots.set(key, slots + 1);
+          }
+          items.push(reportItem(application, 'would_update', { toStatus: status }));
+          continue;
+        }
+        if (accepting && !(await reservePosition(opportunity._id))) {
+          items.push(reportItem(application, 'failed', { reason: 'All positions are filled' }));
+          continue;
+        }
+        let result;
+        try {
+          result = await transitionApplication(application, status, {
+            actor,
+            reason,
+            internalNote,
+            externalNote: message,
+            data: { bulk: true },
+          });
+        } catch (err) {
+          if (accepting) await releasePosition(opportunity._id);
+          throw err;
+        }
+        if (result.error) {
+          if (accepting) await releasePosition(opportunity._id);
+          items.push(reportItem(application, 'failed', { reason: result.error.message }));
+          continue;
+        }
+        if (opportunity && (accepting || application.status === 'accepted')) touchedPositions.add(String(opportunity._id));
+      } else if (dryRun) {
+        items.push(reportItem(application, 'would_message'));
+        continue;
+      } else {
+        await logApplicationEvent({ application, type: 'note', actor, internalNote, externalNote: message, data: { bulk: true } });
+      }
+
+      let messageId = null;
+      if (message && application.userId) {
+        const inbox = await Message.create({
+          userId: application.userId._id || application.userId,
+          applicationId: application._id,
+          opportunityId: application.opportunityId,
+          type: 'status_update',
+          subject: subject || `Update on your application for ${opportunity?.title || 'an opportunity'}`,
+          content: message,
+          emailSent: false,
+        });
+        messageId = inbox._id;
+      }
+      if (queueEmails({ application, opportunity, status, message, subject, messageId })) emailsQueued++;
+      items.push(reportItem(application, status ? 'updated' : 'messaged', status ? { toStatus: status } : {}));
+    } catch (err) {
+      items.push(reportItem(application, 'failed', { reason: err.message }));
+    }
+  }
+
+  for (const opportunityId of touchedPositions) {
+    await syncPositions(opportunityId, actor);
+  }
+
+  const summary = {};
+  for (const item of items) summary[item.outcome] = (summary[item.outcome] || 0) + 1;
+  return { dryRun, total: items.length, summary, emailsQueued, items };
+}
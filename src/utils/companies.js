@@ -0,0 +1,137 @@
+/**
+ * Company profiles. Opportunities keep the denormalized `company` name and `companyLogo` for display;
+ * `companyId` links them to the Company, which is resolved by name or by a merged alias.
+ */
+
+import escapeStringRegexp from 'escape-string-regexp';
+import Company from '../models/Company.js';
+import Opportunity from '../models/Opportunity.js';
+import User from '../models/User.js';
+import { recordRevisionSafe } from './opportunityHistory.js';
+
+// Legal-form words ignored when spotting name variants ("Safaricom PLC" ~ "Safaricom")
+const NAME_SUFFIXES = new Set(['ltd', 'limited', 'plc', 'inc', 'llc', 'co', 'company', 'group', 'holdings']);
+
+export function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'company';
+}
+
+// Comparison key for spotting variants of the same company name
+export function companyNameKey(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const core = words.filter((w) => !NAME_SUFFIXES.has(w));
+  return (core.length ? core : words).join(' ');
+}
+
+export async function uniqueSlug(name, excludeId = null) {
+  const base = slugify(name);
+  for (let i = 1; ; i++) {
+    const slug = i === 1 ? base : `${base}-${i}`;
+    const taken = await Company.exists({ slug, ...(excludeId && { _id: { $ne: excludeId } }) });
+    if (!taken) return slug;
+  }
+}
+
+function exactName(name) {
+  return new RegExp(`^${escapeStringRegexp(String(name).trim())}$`, 'i');
+}
+
+// Company whose name or a merged alias matches (case-insensitive), or null
+export async function resolveCompany(name) {
+  if (!name || !String(name).trim()) return null;
+  const re = exactName(name);
+  return Company.findOne({ $or: [{ name: re }, { aliases: re }] }).lean();
+}
+
+// Resolve by name/alias, creating a minimal profile when none exists yet
+export async function ensureCompany(name, { logo } = {}) {
+  const existing = await resolveCompany(name);
+  if (existing) return existing;
+  try {
+    const created = await Company.create({ name: String(name).trim(), slug: await uniqueSlug(name), logo });
+    return created.toObject();
+  } catch (err) {
+    // Created concurrently under the same name
+    if (err?.code === 11000) return resolveCompany(name);
+    throw err;
+  }
+}
+
+/**
+ * Merge `sources` into `target`: their opportunities and employer accounts move over, their names become
+ * aliases and empty profile fields are filled from them. Opportunities that only carry a source name
+ * (no companyId yet) are moved too. Source companies are deleted.
+ */
+export async function mergeCompanies(target, sources, actor = null) {
+  const names = sources.flatMap((s) => [s.name, ...(s.aliases || [])]);
+  const sourceIds = sources.map((s) => s._id);
+  const opportunities = await Opportunity.find({
+    $or: [{ companyId: { $in: sourceIds } }, { companyId: null, company: { $in: names.map(exactName) } }],
+  }).lean();
+
+  let movedOpportunities = 0;
+  for (const before of opportunities) {
+    const opportunity = await Opportunity.findByIdAndUpdate(
+      before._id,
+      { $set: { companyId: target._id, company: target.name, companyLogo: before.companyLogo || target.logo } },
+      { new: true }
+    ).lean();
+    if (!opportunity) continue;
+    movedOpportunities++;
+    await recordRevisionSafe({ opportunity, before, action: 'update', actor });
+  }
+  const { modifiedCount: movedEmployers } = await User.updateMany({ companyId: { $in: sourceIds } }, { $set: { companyId: target._id } });
+
+  const aliases = new Set(target.aliases || []);
+  for (const n of names) {
+    if (n.toLowerCase() !== target.name.toLowerCase()) aliases.add(n);
+  }
+  const fill = {};
+  for (const field of ['logo', 'website', 'description', 'industry']) {
+    if (!target[field]) {
+      const from = sources.find((s) => s[field]);
+      if (from) fill[field] = from[field];
+    }
+  }
+  if (!target.locations?.length) {
+    const from = sources.find((s) => s.locations?.length);
+    if (from) fill.locations = from.locations;
+  }
+  // Target first: if it fails the sources still exist and the merge can be re-run. Aliases are not unique,
+  // so a source keeping its name until it is deleted does not conflict.
+  const company = await Company.findByIdAndUpdate(target._id, { $set: { ...fill, aliases: [...aliases] } }, { new: true }).lean();
+  await Company.deleteMany({ _id: { $in: sourceIds } });
+  return { company, movedOpportunities, movedEmployers };
+}
+
+// Groups of companies, and unlinked opportunity company names, that look like variants of one another
+export async function findNameVariants() {
+  const [companies, unlinked] = await Promise.all([
+    Company.find({}).select('name slug aliases').lean(),
+    Opportunity.aggregate([
+      { $match: { companyId: null } },
+      { $group: { _id: '$company', opportunities: { $sum: 1 } } },
+    ]),
+  ]);
+  const groups = new Map();
+  const entry = (key) => {
+    if (!groups.has(key)) groups.set(key, { key, companies: [], unlinkedNames: [] });
+    return groups.get(key);
+  };
+  for (const c of companies) entry(companyNameKey(c.name)).companies.push({ _id: c._id, name: c.name, slug: c.slug });
+  for (const u of unlinked) {
+    if (u._id) entry(companyNameKey(u._id)).unlinkedNames.push({ name: u._id, opportunities: u.opportunities });
+  }
+  return [...groups.values()].filter((g) => g.companies.length + g.unlinkedNames.length > 1);
+}
@@ -0,0 +1,56 @@
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes.
+ * Returns an array of objects keyed by the (trimmed) header row.
+ */
+
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field in CSV');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ''));
+}
+
+export function parseCsv(text) {
+  const rows = parseRows(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+  const headers = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((values) => {
+    const record = {};
+    headers.forEach((h, i) => {
+      if (h) record[h] = (values[i] ?? '').trim();
+    });
+    return record;
+  });
+}
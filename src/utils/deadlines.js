@@ -0,0 +1,19 @@
+/**
+ * Opportunity deadline rules shared by application/payment routes and the scheduler.
+ * gracePeriodHours lets applicants who were already in pending_payment at the deadline finish paying.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function isPastDeadline(opportunity, now = new Date()) {
+  return !!opportunity?.deadline && new Date(opportunity.deadline) < now;
+}
+
+export function canCompletePayment(application, opportunity, now = new Date()) {
+  if (!isPastDeadline(opportunity, now)) return true;
+  const graceHours = Number(opportunity.gracePeriodHours) || 0;
+  if (graceHours <= 0 || !application?.createdAt) return false;
+  const deadline = new Date(opportunity.deadline);
+  if (new Date(application.createdAt) > deadline) return false;
+  return now.getTime() <= deadline.getTime() + graceHours * HOUR_MS;
+}
@@ -0,0 +1,172 @@
+/**
+ * Likely-duplicate detection for opportunities. Two postings are duplicates when they belong to the
+ * same company, their titles are similar (Jaccard similarity of normalized title tokens) and they
+ * accept applications at the same time (open windows overlap: publish/create date to deadline or close).
+ */
+
+import escapeStringRegexp from 'escape-string-regexp';
+import Opportunity from '../models/Opportunity.js';
+
+export const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+// Words that say nothing about the role itself
+const IGNORED_TOKENS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'in', 'to', 'with', 'at', 'on',
+  'intern', 'internship', 'interns', 'internships', 'attachment', 'attachments', 'industrial', 'trainee', 'programme', 'program',
+]);
+
+const CANDIDATE_FIELDS = 'title company companyId externalRef deadline closedAt isActive isDraft publishAt publishedAt createdAt';
+
+export function titleTokens(title) {
+  const all = String(title || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((t) => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+  const meaningful = all.filter((t) => !IGNORED_TOKENS.has(t));
+  // A title made only of generic words ("Intern") still compares on those words
+  return new Set(meaningful.length ? meaningful : all);
+}
+
+export function titleSimilarity(a, b) {
+  const ta = titleTokens(a);
+  const tb = titleTokens(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function companyKey(opp) {
+  return String(opp.company || '').trim().toLowerCase();
+}
+
+function sameCompany(a, b) {
+  if (a.companyId && b.companyId) return String(a.companyId) === String(b.companyId);
+  return companyKey(a) !== '' && companyKey(a) === companyKey(b);
+}
+
+// [start, end] in ms; end is Infinity while there is no deadline and it has not been closed
+function openWindow(opp, now = new Date()) {
+  const start = new Date(opp.publishedAt || opp.publishAt || opp.createdAt || now).getTime();
+  const ends = [opp.deadline, !opp.isActive && !opp.isDraft ? opp.closedAt : null]
+    .filter(Boolean)
+    .map((d) => new Date(d).getTime());
+  return [start, ends.length ? Math.min(...ends) : Infinity];
+}
+
+export function windowsOverlap(a, b, now = new Date()) {
+  const [startA, endA] = openWindow(a, now);
+  const [startB, endB] = openWindow(b, now);
+  return startA <= endB && startB <= endA;
+}
+
+export function isLikelyDuplicate(a, b, now = new Date()) {
+  if (!sameCompany(a, b) || !windowsOverlap(a, b, now)) return null;
+  const similarity = titleSimilarity(a.title, b.title);
+  return similarity >= TITLE_SIMILARITY_THRESHOLD ? similarity : null;
+}
+
+function summarize(opp, similarity) {
+  return {
+    _id: opp._id,
+    title: opp.title,
+    company: opp.company,
+    deadline: opp.deadline ?? null,
+    isActive: opp.isActive,
+    isDraft: !!opp.isDraft,
+    similarity: Math.round(similarity * 100) / 100,
+  };
+}
+
+/**
+ * Load, in one query, every existing opportunity of the companies in `rows` (companyId or, case-insensitively,
+ * company name). Returns a pool to pass to `matchDuplicates`.
+ */
+export async function loadDuplicatePool(rows) {
+  const companyIds = [...new Set(rows.map((r) => r.companyId).filter(Boolean).map(String))];
+  const names = [...new Set(rows.map((r) => String(r.company || '').trim()).filter(Boolean))];
+  const conditions = [];
+  if (companyIds.length) conditions.push({ companyId: { $in: companyIds } });
+  if (names.length) conditions.push({ company: new RegExp(`^(?:${names.map((n) => escapeStringRegexp(n)).join('|')})$`, 'i') });
+  const byCompanyId = new Map();
+  const byName = new Map();
+  if (conditions.length === 0) return { byCompanyId, byName };
+  const existing = await Opportunity.find({ $or: conditions }).select(CANDIDATE_FIELDS).lean();
+  for (const opp of existing) {
+    for (const [map, key] of [[byCompanyId, opp.companyId && String(opp.companyId)], [byName, companyKey(opp)]]) {
+      if (!key) continue;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(opp);
+    }
+  }
+  return { byCompanyId, byName };
+}
+
+/**
+ * Opportunities in `pool` that `data` (not yet saved) would likely duplicate, most similar first.
+ */
+export function matchDuplicates(data, pool, { now = new Date() } = {}) {
+  const candidate = { ...data, isActive: true, createdAt: now };
+  const existing = new Map(
+    [
+      ...(data.companyId ? pool.byCompanyId.get(String(data.companyId)) || [] : []),
+      ...(pool.byName.get(companyKey(data)) || []),
+    ].map((opp) => [String(opp._id), opp])
+  );
+  return [...existing.values()]
+    .map((opp) => ({ opp, similarity: isLikelyDuplicate(candidate, opp, now) }))
+    .filter((m) => m.similarity !== null)
+    .sort((a, b) => b.similarity - a.similarity)
+    .map((m) => summarize(m.opp, m.similarity));
+}
+
+/**
+ * Existing opportunities that `data` (not yet saved) would likely duplicate, most similar first.
+ */
+export async function findDuplicateCandidates(data, { now = new Date() } = {}) {
+  return matchDuplicates(data, await loadDuplicatePool([data]), { now });
+}
+
+/**
+ * Group existing opportunities into clusters of likely duplicates (connected pairs), for cleanup.
+ * Returns clusters of two or more, largest first.
+ */
+export async function findDuplicateClusters({ filter = {}, now = new Date() } = {}) {
+  const opportunities = await Opportunity.find(filter).select(CANDIDATE_FIELDS).sort({ createdAt: 1 }).lean();
+  const byCompany = new Map();
+  for (const opp of opportunities) {
+    // Group by name so legacy postings without companyId still meet their linked siblings
+    const key = companyKey(opp);
+    if (!byCompany.has(key)) byCompany.set(key, []);
+    byCompany.get(key).push(opp);
+  }
+
+  const clusters = [];
+  for (const group of byCompany.values()) {
+    // Union-find over the pairs in this company
+    const parent = group.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const best = new Map();
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const similarity = isLikelyDuplicate(group[i], group[j], now);
+        if (similarity === null) continue;
+        parent[find(i)] = find(j);
+        best.set(i, Math.max(best.get(i) || 0, similarity));
+        best.set(j, Math.max(best.get(j) || 0, similarity));
+      }
+    }
+    const members = new Map();
+    for (const i of best.keys()) {
+      const root = find(i);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(summarize(group[i], best.get(i)));
+    }
+    for (const list of members.values()) {
+      clusters.push({ company: list[0].company, size: list.length, opportunities: list });
+    }
+  }
+  return clusters.sort((a, b) => b.size - a.size);
+}
@@ -0,0 +1,94 @@
+/**
+ * Structured eligibility rules on an Opportunity, evaluated against the applicant's profile
+ * before any upload or payment in POST /api/applications.
+ */
+
+export const ELIGIBLE_ROLES = ['student', 'graduate'];
+
+function normalize(str) {
+  return String(str || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isYear(value) {
+  return Number.isInteger(Number(value)) && Number(value) >= 1950 && Number(value) <= 2100;
+}
+
+// Returns an error message for an invalid eligibility definition, or null
+export function validateEligibilityDefinition(eligibility) {
+  if (eligibility === undefined || eligibility === null) return null;
+  if (typeof eligibility !== 'object' || Array.isArray(eligibility)) return 'Eligibility must be an object';
+  const { roles, minYearOfStudy, maxYearOfStudy, fieldsOfStudy, graduationYearFrom, graduationYearTo } = eligibility;
+  if (roles != null && (!Array.isArray(roles) || roles.some((r) => !ELIGIBLE_ROLES.includes(r)))) {
+    return `Eligibility roles must be a list of: ${ELIGIBLE_ROLES.join(', ')}`;
+  }
+  for (const [name, value] of [['minYearOfStudy', minYearOfStudy], ['maxYearOfStudy', maxYearOfStudy]]) {
+    if (value != null && !(Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 7)) {
+      return `${name} must be a whole number between 1 and 7`;
+    }
+  }
+  if (minYearOfStudy != null && maxYearOfStudy != null && Number(minYearOfStudy) > Number(maxYearOfStudy)) {
+    return 'minYearOfStudy cannot be greater than maxYearOfStudy';
+  }
+  if (fieldsOfStudy != null && (!Array.isArray(fieldsOfStudy) || fieldsOfStudy.some((f) => typeof f !== 'string' || !f.trim()))) {
+    return 'fieldsOfStudy must be a list of names';
+  }
+  for (const [name, value] of [['graduationYearFrom', graduationYearFrom], ['graduationYearTo', graduationYearTo]]) {
+    if (value != null && !isYear(value)) return `${name} must be a valid year`;
+  }
+  if (graduationYearFrom != null && graduationYearTo != null && Number(graduationYearFrom) > Number(graduationYearTo)) {
+    return 'graduationYearFrom cannot be after graduationYearTo';
+  }
+  return null;
+}
+
+// "BSc Electrical Engineering" matches an allowed "Electrical Engineering" (whole-word containment)
+function fieldMatches(userField, allowed) {
+  const mine = ` ${normalize(userField)} `;
+  return allowed.some((f) => mine.includes(` ${normalize(f)} `));
+}
+
+/**
+ * Check a user against an opportunity's eligibility rules.
+ * Returns { eligible, failures: [{ rule, message }] } — one entry per rule that failed.
+ */
+export function evaluateEligibility(eligibility, user) {
+  const failures = [];
+  if (!eligibility) return { eligible: true, failures };
+  const fail = (rule, message) => failures.push({ rule, message });
+  const { roles, minYearOfStudy, maxYearOfStudy, fieldsOfStudy, graduationYearFrom, graduationYearTo } = eligibility;
+
+  if (roles?.length && !roles.includes(user.role)) {
+    fail('roles', `Open to ${roles.join(' and ')} applicants only`);
+  }
+
+  if (minYearOfStudy != null || maxYearOfStudy != null) {
+    const year = user.yearOfStudy;
+    if (year == null) {
+      fail('yearOfStudy', 'Add your year of study to your profile to apply');
+    } else if (minYearOfStudy != null && year < minYearOfStudy) {
+      fail('minYearOfStudy', `Requires year of study ${minYearOfStudy} or above (yours: ${year})`);
+    } else if (maxYearOfStudy != null && year > maxYearOfStudy) {
+      fail('maxYearOfStudy', `Requires year of study ${maxYearOfStudy} or below (yours: ${year})`);
+    }
+  }
+
+  if (fieldsOfStudy?.length) {
+    if (!user.fieldOfStudy) {
+      fail('fieldsOfStudy', 'Add your field of study to your profile to apply');
+    } else if (!fieldMatches(user.fieldOfStudy, fieldsOfStudy)) {
+      fail('fieldsOfStudy', `Open to students of: ${fieldsOfStudy.join(', ')}`);
+    }
+  }
+
+  if (graduationYearFrom != null || graduationYearTo != null) {
+    const gradYear = user.graduationYear;
+    const window = [graduationYearFrom, graduationYearTo].filter((y) => y != null).join('–');
+    if (gradYear == null) {
+      fail('graduationYear', 'Add your (expected) graduation year to your profile to apply');
+    } else if ((graduationYearFrom != null && gradYear < graduationYearFrom) || (graduationYearTo != null && gradYear > graduationYearTo)) {
+      fail('graduationWindow', `Requires graduation in ${graduationYearFrom != null && graduationYearTo != null ? window : graduationYearFrom != null ? `${graduationYearFrom} or later` : `${graduationYearTo} or earlier`} (yours: ${gradYear})`);
+    }
+  }
+
+  return { eligible: failures.length === 0, failures };
+}
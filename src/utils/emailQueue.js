@@ -0,0 +1,43 @@
+/**
+ * In-process throttled email queue for bulk sends. Resend rejects bursts (2 requests/second on the
+ * default plan), so bulk actions enqueue their emails here instead of firing them all at once.
+ * The queue lives in memory: emails still waiting when the server restarts are not sent.
+ */
+
+const EMAILS_PER_SECOND = Math.max(1, Number(process.env.BULK_EMAILS_PER_SECOND) || 2);
+const INTERVAL_MS = Math.ceil(1000 / EMAILS_PER_SECOND);
+
+const queue = [];
+let draining = false;
+let sent = 0;
+let failed = 0;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  while (queue.length > 0) {
+    const { task, label } = queue.shift();
+    try {
+      const result = await task();
+      if (result?.ok === false) failed++;
+      else sent++;
+    } catch (err) {
+      failed++;
+      console.error(`[EmailQueue] ${label || 'email'} failed:`, err.message);
+    }
+    if (queue.length > 0) await wait(INTERVAL_MS);
+  }
+  draining = false;
+}
+
+// Queue `task`: an async function that sends one email and resolves to { ok }
+export function enqueueEmail(task, label) {
+  queue.push({ task, label });
+  void drain();
+}
+
+export function emailQueueStats() {
+  return { pending: queue.length, sent, failed, emailsPerSecond: EMAILS_PER_SECOND };
+}
@@ -0,0 +1,145 @@
+/**
+ * Syndication renderers for opportunities: Atom 1.0, RSS 2.0, JSON Feed 1.1 and XML sitemap.
+ * Items carry company, type, location, deadline and application fee.
+ */
+
+import crypto from 'crypto';
+
+const SITE_NAME = 'CareerStart';
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+function feeOf(opp) {
+  return opp.applicationFee ?? 350;
+}
+
+function summaryLines(opp) {
+  return [
+    `Company: ${opp.company}`,
+    `Type: ${opp.type}`,
+    opp.location && `Location: ${opp.location}`,
+    opp.deadline && `Deadline: ${formatDate(opp.deadline)}`,
+    `Application fee: KES ${feeOf(opp)}`,
+  ].filter(Boolean);
+}
+
+function itemHtml(opp) {
+  return `<ul>${summaryLines(opp).map((l) => `<li>${escapeXml(l)}</li>`).join('')}</ul><p>${escapeXml(opp.description)}</p>`;
+}
+
+export function lastModifiedOf(opportunities) {
+  const times = opportunities.map((o) => new Date(o.updatedAt || o.createdAt).getTime()).filter(Number.isFinite);
+  return new Date(times.length ? Math.max(...times) : 0);
+}
+
+// Weak validator derived from item ids and update times, plus anything else that changes the output
+export function etagOf(opportunities, variant) {
+  const hash = crypto.createHash('sha1').update(variant);
+  for (const o of opportunities) hash.update(`${o._id}:${new Date(o.updatedAt || o.createdAt).getTime()};`);
+  return `W/"${hash.digest('hex')}"`;
+}
+
+export function renderAtom({ opportunities, selfUrl, siteUrl, itemUrl, updated }) {
+  const entries = opportunities
+    .map((o) => `  <entry>
+    <id>${escapeXml(itemUrl(o))}</id>
+    <title>${escapeXml(`${o.title} — ${o.company}`)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(itemUrl(o))}"/>
+    <published>${new Date(o.publishedAt || o.createdAt).toISOString()}</published>
+    <updated>${new Date(o.updatedAt || o.createdAt).toISOString()}</updated>
+    <author><name>${escapeXml(o.company)}</name></author>
+    <category term="${escapeXml(o.type)}"/>${o.category ? `\n    <category term="${escapeXml(o.category)}"/>` : ''}
+    <summary>${escapeXml(summaryLines(o).join(' · '))}</summary>
+    <content type="html">${escapeXml(itemHtml(o))}</content>
+  </entry>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${SITE_NAME} opportunities</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <updated>${updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+export function renderRss({ opportunities, selfUrl, siteUrl, itemUrl, updated }) {
+  const items = opportunities
+    .map((o) => `    <item>
+      <title>${escapeXml(`${o.title} — ${o.company}`)}</title>
+      <link>${escapeXml(itemUrl(o))}</link>
+      <guid isPermaLink="true">${escapeXml(itemUrl(o))}</guid>
+      <pubDate>${new Date(o.publishedAt || o.createdAt).toUTCString()}</pubDate>
+      <category>${escapeXml(o.type)}</category>${o.category ? `\n      <category>${escapeXml(o.category)}</category>` : ''}
+      <description>${escapeXml(itemHtml(o))}</description>
+    </item>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${SITE_NAME} opportunities</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>Internships and industrial attachments on ${SITE_NAME}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderJsonFeed({ opportunities, selfUrl, siteUrl, itemUrl }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: `${SITE_NAME} opportunities`,
+    home_page_url: siteUrl,
+    feed_url: selfUrl,
+    items: opportunities.map((o) => ({
+      id: String(o._id),
+      url: itemUrl(o),
+      title: `${o.title} — ${o.company}`,
+      content_html: itemHtml(o),
+      summary: summaryLines(o).join(' · '),
+      date_published: new Date(o.publishedAt || o.createdAt).toISOString(),
+      date_modified: new Date(o.updatedAt || o.createdAt).toISOString(),
+      authors: [{ name: o.company }],
+      tags: [o.type, o.category].filter(Boolean),
+      // JSON Feed extension (keys starting with "_" are allowed for custom data)
+      _careerstart: {
+        company: o.company,
+        type: o.type,
+        location: o.location || null,
+        deadline: o.deadline ? new Date(o.deadline).toISOString() : null,
+        applicationFee: feeOf(o),
+        currency: 'KES',
+      },
+    })),
+  };
+}
+
+export function renderSitemap({ opportunities, itemUrl }) {
+  const urls = opportunities
+    .map((o) => `  <url>
+    <loc>${escapeXml(itemUrl(o))}</loc>
+    <lastmod>${new Date(o.updatedAt || o.createdAt).toISOString()}</lastmod>
+  </url>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
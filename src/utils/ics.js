@@ -0,0 +1,81 @@
+/**
+ * Minimal iCalendar (RFC 5545) builder for interview invites. Emails attach the result as a .ics file,
+ * which calendar apps import as an event (METHOD:REQUEST) or remove (METHOD:CANCEL).
+ */
+
+const PRODID = '-//CareerStart//Interviews//EN';
+
+// UTC date-time, e.g. 20260301T070000Z
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Calendar user (ORGANIZER / ATTENDEE) with an optional common name, e.g. CN="Jane Doe":mailto:jane@example.com
+function calAddress(property, { name, email }, params = []) {
+  const cn = name ? [`CN="${String(name).replace(/["\r\n]/g, '')}"`] : [];
+  return [property, ...cn, ...params].join(';') + `:mailto:${email}`;
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, 'utf8');
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build a single-event calendar. `uid` must stay the same across updates of one interview so
+ * calendar apps replace the event; `sequence` must increase with each update. `organizer` and
+ * `attendee` ({ name, email }) are required by iTIP (RFC 5546) for REQUEST and CANCEL.
+ */
+export function buildInterviewIcs({ uid, start, end, summary, description, location, url, organizer, attendee, method = 'REQUEST', sequence = 0 }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer?.email) lines.push(calAddress('ORGANIZER', organizer));
+  if (attendee?.email) lines.push(calAddress('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=ACCEPTED', 'RSVP=FALSE']));
+  lines.push(`STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`);
+  if (method !== 'CANCEL') {
+    for (const minutes of [1440, 60]) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(summary)}`, `TRIGGER:-PT${minutes}M`, 'END:VALARM');
+    }
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
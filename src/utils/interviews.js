@@ -0,0 +1,409 @@
+/**
+ * Interview scheduling. Managers publish InterviewSlots per opportunity; shortlisted applicants book
+ * one (InterviewBooking, one per application). Slot capacity is claimed atomically like positions,
+ * and an applicant cannot hold two interviews that overlap. Emails carry an .ics calendar invite whose
+ * UID is stable per application, so rescheduling updates the same calendar event.
+ */
+
+import Application from '../models/Application.js';
+import InterviewSlot from '../models/InterviewSlot.js';
+import InterviewBooking from '../models/InterviewBooking.js';
+import Opportunity from '../models/Opportunity.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import { buildInterviewIcs } from './ics.js';
+import { logApplicationEvent } from './applicationTimeline.js';
+import { enqueueEmail } from './emailQueue.js';
+import {
+  sendInterviewScheduledEmail,
+  sendInterviewCancelledEmail,
+  sendInterviewReminderEmail,
+  sendInterviewInvitationEmail,
+  senderIdentity,
+} from './sendEmail.js';
+
+// Applicants cannot book, reschedule or cancel an interview that starts sooner than this
+export const INTERVIEW_CHANGE_CUTOFF_HOURS = 2;
+const TIME_ZONE = 'Africa/Nairobi';
+const HOUR = 60 * 60 * 1000;
+
+export function slotEnd(slot) {
+  return new Date(new Date(slot.startsAt).getTime() + slot.durationMinutes * 60 * 1000);
+}
+
+// e.g. "Monday, 2 March 2026 at 10:00 EAT"
+export function formatInterviewTime(date) {
+  return new Date(date).toLocaleString('en-GB', { timeZone: TIME_ZONE, dateStyle: 'full', timeStyle: 'short' }) + ' EAT';
+}
+
+export function bookingUrl(applicationId) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${frontendUrl}/dashboard/applications/${applicationId}/interview`;
+}
+
+export function withinCutoff(date, now = new Date()) {
+  return new Date(date).getTime() - now.getTime() < INTERVIEW_CHANGE_CUTOFF_HOURS * HOUR;
+}
+
+// Returns an error message for invalid slot fields, or null. `partial` skips required-field checks (PATCH).
+export function validateSlotInput(data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object') return 'Slot must be an object';
+  if (!partial || data.startsAt !== undefined) {
+    const startsAt = new Date(data.startsAt);
+    if (!data.startsAt || Number.isNaN(startsAt.getTime())) return 'startsAt must be a valid date';
+    if (startsAt <= new Date()) return 'startsAt must be in the future';
+  }
+  if (!partial || data.durationMinutes !== undefined) {
+    const d = Number(data.durationMinutes);
+    if (!Number.isInteger(d) || d < 5 || d > 480) return 'durationMinutes must be a whole number between 5 and 480';
+  }
+  if (data.capacity !== undefined && !(Number.isInteger(Number(data.capacity)) && Number(data.capacity) >= 1)) {
+    return 'capacity must be a whole number of at least 1';
+  }
+  if (data.videoLink != null && data.videoLink !== '' && !/^https?:\/\/\S+$/i.test(String(data.videoLink))) {
+    return 'videoLink must be an http(s) URL';
+  }
+  if (!partial && !String(data.location || '').trim() && !String(data.videoLink || '').trim()) {
+    return 'Give a location or a video link';
+  }
+  return null;
+}
+
+// `attendee` is the applicant ({ name, email }); the sending address organizes the event
+export function interviewIcs({ booking, slot, opportunity, attendee, method = 'REQUEST' }) {
+  const where = [slot.location, slot.videoLink].filter(Boolean).join(' / ');
+  return buildInterviewIcs({
+    uid: `interview-${booking.applicationId}@careerstart.co.ke`,
+    sequence: booking.sequence || 0,
+    method,
+    start: slot.startsAt,
+    end: slotEnd(slot),
+    summary: `Interview: ${opportunity.title}${opportunity.company ? ` (${opportunity.company})` : ''}`,
+    description: [slot.notes, slot.videoLink ? `Join: ${slot.videoLink}` : null].filter(Boolean).join('\n'),
+    location: where,
+    url: slot.videoLink || undefined,
+    organizer: senderIdentity(),
+    attendee,
+  });
+}
+
+function emailSlotFields(slot) {
+  return {
+    when: formatInterviewTime(slot.startsAt),
+    durationMinutes: slot.durationMinutes,
+    location: slot.location,
+    videoLink: slot.videoLink,
+    notes: slot.notes,
+  };
+}
+
+// Atomically claim a place in a slot; returns false when it is full, cancelled or already started
+export async function reserveSlot(slotId) {
+  const updated = await InterviewSlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      isCancelled: { $ne: true },
+      startsAt: { $gt: new Date() },
+      $expr: { $lt: ['$bookedCount', '$capacity'] },
+    },
+    { $inc: { bookedCount: 1 } },
+    { new: true }
+  ).lean();
+  return !!updated;
+}
+
+export async function releaseSlot(slotId) {
+  await InterviewSlot.updateOne({ _id: slotId, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+}
+
+// Another interview of the same applicant that overlaps [start, end)
+export async function findConflict(userId, start, end, excludeApplicationId) {
+  return InterviewBooking.findOne({
+    userId,
+    applicationId: { $ne: excludeApplicationId },
+    startsAt: { $lt: end },
+    endsAt: { $gt: start },
+  })
+    .populate('opportunityId', 'title')
+    .lean();
+}
+
+/**
+ * Book (or move) the application's interview to `slotId`. The application must be shortlisted.
+ * Returns { booking, slot, rescheduled } or { error: { status, message } }.
+ */
+export async function bookInterview(application, slotId, actor) {
+  if (application.status !== 'shortlisted') {
+    return { error: { status: 400, message: 'Only shortlisted applications can book an interview' } };
+  }
+  const slot = await InterviewSlot.findOne({ _id: slotId, opportunityId: application.opportunityId }).lean();
+  if (!slot || slot.isCancelled) return { error: { status: 404, message: 'Interview slot not found' } };
+  if (withinCutoff(slot.startsAt)) {
+    return { error: { status: 400, message: `Slots must be booked at least ${INTERVIEW_CHANGE_CUTOFF_HOURS} hours in advance` } };
+  }
+  const existing = await InterviewBooking.findOne({ applicationId: application._id }).lean();
+  if (existing && String(existing.slotId) === String(slot._id)) {
+    return { error: { status: 409, message: 'You have already booked this slot' } };
+  }
+  if (existing && withinCutoff(existing.startsAt)) {
+    return { error: { status: 400, message: `Interviews cannot be changed less than ${INTERVIEW_CHANGE_CUTOFF_HOURS} hours before they start` } };
+  }
+  const endsAt = slotEnd(slot);
+  const conflict = await findConflict(application.userId, slot.startsAt, endsAt, application._id);
+  if (conflict) {
+    return {
+      error: {
+        status: 409,
+        message: `This overlaps your interview for ${conflict.opportunityId?.title || 'another opportunity'} at ${formatInterviewTime(conflict.startsAt)}`,
+      },
+    };
+  }
+  if (!(await reserveSlot(slot._id))) return { error: { status: 409, message: 'This slot is fully booked' } };
+
+  let booking;
+  try {
+    if (existing) {
+      // Conditional on the old slot so two concurrent reschedules cannot both succeed
+      booking = await InterviewBooking.findOneAndUpdate(
+        { _id: existing._id, slotId: existing.slotId },
+        {
+          $set: { slotId: slot._id, startsAt: slot.startsAt, endsAt },
+          $unset: { reminder24hSentAt: 1, reminder1hSentAt: 1 },
+          $inc: { sequence: 1 },
+        },
+        { new: true }
+      ).lean();
+    } else {
+      booking = (
+        await InterviewBooking.create({
+          applicationId: application._id,
+          opportunityId: application.opportunityId,
+          userId: application.userId,
+          slotId: slot._id,
+          startsAt: slot.startsAt,
+          endsAt,
+        })
+      ).toObject();
+    }
+  } catch (err) {
+    await releaseSlot(slot._id);
+    if (err.code === 11000) return { error: { status: 409, message: 'An interview is already booked for this application' } };
+    throw err;
+  }
+  if (!booking) {
+    await releaseSlot(slot._id);
+    return { error: { status: 409, message: 'Your booking changed in the meantime; reload and try again' } };
+  }
+  if (existing) await releaseSlot(existing.slotId);
+
+  await logApplicationEvent({
+    application,
+    type: existing ? 'interview_rescheduled' : 'interview_booked',
+    actor,
+    data: { slotId: slot._id, startsAt: slot.startsAt, previousStartsAt: existing?.startsAt },
+  });
+  return { booking, slot: { ...slot, bookedCount: slot.bookedCount + 1 }, rescheduled: !!existing };
+}
+
+// Remove a booking and free its place in the slot
+export async function cancelBooking(booking, { actor = null, reason } = {}) {
+  const removed = await InterviewBooking.findOneAndDelete({ _id: booking._id, slotId: booking.slotId }).lean();
+  if (!removed) return null;
+  await releaseSlot(removed.slotId);
+  await logApplicationEvent({
+    application: removed.applicationId,
+    type: 'interview_cancelled',
+    actor,
+    data: { slotId: removed.slotId, startsAt: removed.startsAt, reason },
+  });
+  return removed;
+}
+
+/**
+ * Invite shortlisted applicants of an opportunity to book (inbox message plus queued email). Runs when an
+ * application is shortlisted and when slots are published; managers can re-send with `resend`.
+ * Without `resend`, applicants who already booked or were invited are skipped. Nothing is sent while the
+ * opportunity has no open slots. Returns { invited, skipped } or { error }.
+ */
+export async function inviteShortlisted(opportunityId, { applicationIds, resend = false, actor = null } = {}) {
+  const openSlots = await InterviewSlot.countDocuments({
+    opportunityId,
+    isCancelled: { $ne: true },
+    startsAt: { $gt: new Date() },
+    $expr: { $lt: ['$bookedCount', '$capacity'] },
+  });
+  if (openSlots === 0) return { error: 'Publish interview slots before inviting applicants' };
+  const opportunity = await Opportunity.findById(opportunityId).select('title').lean();
+  if (!opportunity) return { error: 'Opportunity not found' };
+
+  const filter = { opportunityId, status: 'shortlisted' };
+  if (applicationIds) filter._id = { $in: applicationIds };
+  const applications = await Application.find(filter).select('userId opportunityId').populate('userId', 'name email').lean();
+  const ids = applications.map((a) => a._id);
+  const [booked, invited] = await Promise.all([
+    InterviewBooking.find({ applicationId: { $in: ids } }).distinct('applicationId'),
+    resend ? [] : Message.find({ applicationId: { $in: ids }, type: 'interview_invite' }).distinct('applicationId'),
+  ]);
+  const skip = new Set([...booked, ...invited].map(String));
+
+  let sent = 0;
+  for (const application of applications) {
+    const user = application.userId;
+    if (skip.has(String(application._id)) || !user?.email) continue;
+    const url = bookingUrl(application._id);
+    const message = await Message.create({
+      userId: user._id,
+      applicationId: application._id,
+      opportunityId,
+      type: 'interview_invite',
+      subject: `Book your interview for ${opportunity.title}`,
+      content: `You've been shortlisted for ${opportunity.title}. Choose an interview slot here: ${url}`,
+      emailSent: false,
+    });
+    enqueueEmail(async () => {
+      const result = await sendInterviewInvitationEmail({ to: user.email, name: user.name, opportunityTitle: opportunity.title, bookingUrl: url });
+      await Message.updateOne({ _id: message._id }, { emailSent: !!result.ok, sentAt: new Date() });
+      return result;
+    }, `interview invite ${application._id}`);
+    await logApplicationEvent({ application, type: 'interview_invited', actor, data: { messageId: message._id } });
+    sent++;
+  }
+  return { invited: sent, skipped: applications.length - sent };
+}
+
+// Called when an application leaves shortlisted: an interview that has not happened yet is released
+// and the applicant gets a cancellation that removes it from their calendar
+export async function releaseUpcomingInterview(applicationId, actor = null) {
+  const booking = await InterviewBooking.findOne({ applicationId, startsAt: { $gt: new Date() } }).lean();
+  if (!booking) return;
+  const removed = await cancelBooking(booking, { actor, reason: 'status_changed' });
+  if (!removed) return;
+  const slot = await InterviewSlot.findById(removed.slotId).lean();
+  if (!slot) return;
+  enqueueEmail(() => sendInterviewCancellation({ booking: removed, slot, reason: 'status_changed' }), `interview cancellation ${removed._id}`);
+}
+
+// Confirmation (booked / rescheduled / updated) with the calendar invite, plus an inbox message
+export async function sendInterviewConfirmation({ booking, slot, kind = 'booked' }) {
+  const [user, opportunity] = await Promise.all([
+    User.findById(booking.userId).select('name email').lean(),
+    Opportunity.findById(booking.opportunityId).select('title company').lean(),
+  ]);
+  if (!user?.email || !opportunity) return { ok: false };
+  const fields = emailSlotFields(slot);
+  const result = await sendInterviewScheduledEmail({
+    to: user.email,
+    name: user.name,
+    opportunityTitle: opportunity.title,
+    kind,
+    ics: interviewIcs({ booking, slot, opportunity, attendee: user }),
+    ...fields,
+  });
+  await Message.create({
+    userId: booking.userId,
+    applicationId: booking.applicationId,
+    opportunityId: booking.opportunityId,
+    type: 'interview_update',
+    subject: `Interview ${kind === 'booked' ? 'confirmed' : kind}: ${opportunity.title}`,
+    content: `Your interview is on ${fields.when} (${fields.durationMinutes} minutes)${fields.location ? ` at ${fields.location}` : ''}${fields.videoLink ? `. Video link: ${fields.videoLink}` : ''}.`,
+    emailSent: !!result.ok,
+  });
+  return result;
+}
+
+// `reason` matches cancelBooking's: slot_cancelled, status_changed or applicant_cancelled
+export async function sendInterviewCancellation({ booking, slot, reason = 'slot_cancelled' }) {
+  const [user, opportunity] = await Promise.all([
+    User.findById(booking.userId).select('name email').lean(),
+    Opportunity.findById(booking.opportunityId).select('title company').lean(),
+  ]);
+  if (!user?.email || !opportunity) return { ok: false };
+  const when = formatInterviewTime(slot.startsAt);
+  const result = await sendInterviewCancelledEmail({
+    to: user.email,
+    name: user.name,
+    opportunityTitle: opportunity.title,
+    when,
+    bookingUrl: bookingUrl(booking.applicationId),
+    reason,
+    ics: interviewIcs({ booking: { ...booking, sequence: (booking.sequence || 0) + 1 }, slot, opportunity, attendee: user, method: 'CANCEL' }),
+  });
+  await Message.create({
+    userId: booking.userId,
+    applicationId: booking.applicationId,
+    opportunityId: booking.opportunityId,
+    type: 'interview_update',
+    subject: `Interview cancelled: ${opportunity.title}`,
+    content: {
+      slot_cancelled: `Your interview on ${when} was cancelled by the hiring team. Please book another slot.`,
+      status_changed: `Your interview on ${when} was cancelled because your application is no longer at the interview stage.`,
+      applicant_cancelled: `You cancelled your interview on ${when}. You can book another slot while slots are open.`,
+    }[reason],
+    emailSent: !!result.ok,
+  });
+  return result;
+}
+
+/**
+ * Scheduler job: 24-hour and 1-hour reminders. Each reminder is claimed with a conditional update
+ * before sending so overlapping runs cannot send it twice. The 24-hour window ends where the 1-hour
+ * one starts, so an interview booked at short notice only gets the reminders still ahead of it.
+ */
+export async function sendInterviewReminders(now = new Date()) {
+  const windows = [
+    { field: 'reminder1hSentAt', from: now, to: new Date(now.getTime() + HOUR), startsIn: 'in about an hour', kind: '1h' },
+    { field: 'reminder24hSentAt', from: new Date(now.getTime() + HOUR), to: new Date(now.getTime() + 24 * HOUR), startsIn: 'within the next day', kind: '24h' },
+  ];
+  let sent = 0;
+  for (const window of windows) {
+    const due = await InterviewBooking.find({
+      startsAt: { $gt: window.from, $lte: window.to },
+      [window.field]: null,
+    })
+      .select('_id')
+      .lean();
+    for (const { _id } of due) {
+      try {
+        const booking = await InterviewBooking.findOneAndUpdate(
+          { _id, [window.field]: null },
+          { $set: { [window.field]: now } },
+          { new: true }
+        ).lean();
+        if (!booking) continue;
+        const [slot, user, opportunity, application] = await Promise.all([
+          InterviewSlot.findById(booking.slotId).lean(),
+          User.findById(booking.userId).select('name email').lean(),
+          Opportunity.findById(booking.opportunityId).select('title company').lean(),
+          Application.findById(booking.applicationId).select('status').lean(),
+        ]);
+        if (!slot || slot.isCancelled || !user?.email || !opportunity || application?.status !== 'shortlisted') continue;
+        const result = await sendInterviewReminderEmail({
+          to: user.email,
+          name: user.name,
+          opportunityTitle: opportunity.title,
+          startsIn: window.startsIn,
+          ics: interviewIcs({ booking, slot, opportunity, attendee: user }),
+          ...emailSlotFields(slot),
+        });
+        await Message.create({
+          userId: booking.userId,
+          applicationId: booking.applicationId,
+          opportunityId: booking.opportunityId,
+          type: 'interview_reminder',
+          subject: `Reminder: interview for ${opportunity.title}`,
+          content: `Your interview starts ${window.startsIn}: ${formatInterviewTime(slot.startsAt)}.`,
+          emailSent: !!result.ok,
+        });
+        await logApplicationEvent({
+          application: booking.applicationId,
+          type: 'reminder_sent',
+          data: { kind: `interview_${window.kind}`, automatic: true },
+        });
+        if (result.ok) sent++;
+      } catch (err) {
+        console.error(`[Scheduler] Error sending interview reminder for booking ${_id}:`, err.message);
+      }
+    }
+  }
+  return sent;
+}
@@ -0,0 +1,82 @@
+/**
+ * schema.org JobPosting (JSON-LD) for Google for Jobs.
+ * Only open postings (active, deadline not passed) are eligible; output is checked against required fields.
+ */
+
+import { escapeXml } from './feeds.js';
+import { isPastDeadline } from './deadlines.js';
+
+const REQUIRED_FIELDS = ['title', 'description', 'datePosted', 'hiringOrganization.name'];
+
+export function isPublishable(opportunity, now = new Date()) {
+  return !!opportunity?.isActive && !isPastDeadline(opportunity, now);
+}
+
+function descriptionHtml(opp) {
+  const parts = [`<p>${escapeXml(opp.description)}</p>`];
+  if (opp.requirements?.length) {
+    parts.push(`<p>Requirements:</p><ul>${opp.requirements.map((r) => `<li>${escapeXml(r)}</li>`).join('')}</ul>`);
+  }
+  if (opp.duration) parts.push(`<p>Duration: ${escapeXml(opp.duration)}</p>`);
+  return parts.join('');
+}
+
+function jobLocations(opp) {
+  if (opp.locations?.length) {
+    return opp.locations.map((l) => ({
+      '@type': 'Place',
+      address: {
+        '@type': 'PostalAddress',
+        ...(l.town && { addressLocality: l.town }),
+        addressRegion: l.county,
+        addressCountry: 'KE',
+      },
+    }));
+  }
+  if (opp.location) {
+    return [{ '@type': 'Place', address: { '@type': 'PostalAddress', addressLocality: opp.location, addressCountry: 'KE' } }];
+  }
+  return [];
+}
+
+export function toJobPosting(opp, { itemUrl }) {
+  const posting = {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: opp.title,
+    description: descriptionHtml(opp),
+    identifier: { '@type': 'PropertyValue', name: opp.company, value: String(opp._id) },
+    datePosted: new Date(opp.publishedAt || opp.createdAt).toISOString(),
+    employmentType: 'INTERN', // internships and industrial attachments alike
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: opp.company,
+      ...(opp.companyLogo && { logo: opp.companyLogo }),
+    },
+    url: itemUrl(opp),
+    directApply: true,
+  };
+  if (opp.deadline) posting.validThrough = new Date(opp.deadline).toISOString();
+  if (opp.category) posting.occupationalCategory = opp.category;
+  const locations = jobLocations(opp);
+  if (locations.length) posting.jobLocation = locations.length === 1 ? locations[0] : locations;
+  if (opp.workMode === 'remote') {
+    posting.jobLocationType = 'TELECOMMUTE';
+    posting.applicantLocationRequirements = { '@type': 'Country', name: 'Kenya' };
+  }
+  return posting;
+}
+
+// Returns the list of problems that would make Google reject the posting (empty when valid)
+export function validateJobPosting(posting) {
+  const errors = [];
+  for (const path of REQUIRED_FIELDS) {
+    const value = path.split('.').reduce((obj, k) => obj?.[k], posting);
+    if (value === undefined || value === null || value === '') errors.push(`Missing required field: ${path}`);
+  }
+  const remote = posting.jobLocationType === 'TELECOMMUTE';
+  if (!posting.jobLocation && !remote) errors.push('Missing required field: jobLocation (or jobLocationType TELECOMMUTE)');
+  if (remote && !posting.applicantLocationRequirements) errors.push('Remote postings need applicantLocationRequirements');
+  if (posting.validThrough && new Date(posting.validThrough) < new Date()) errors.push('validThrough is in the past');
+  return errors;
+}
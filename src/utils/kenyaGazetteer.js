@@ -0,0 +1,111 @@
+/**
+ * Local gazetteer of Kenyan counties and towns with approximate coordinates (WGS84).
+ * The first town listed for each county is its seat, used as the county's reference point.
+ */
+
+const TOWNS = [
+  { name: 'Mombasa', county: 'Mombasa', lat: -4.0435, lng: 39.6682 },
+  { name: 'Kwale', county: 'Kwale', lat: -4.1737, lng: 39.4521 },
+  { name: 'Diani', county: 'Kwale', lat: -4.2799, lng: 39.5947 },
+  { name: 'Kilifi', county: 'Kilifi', lat: -3.6305, lng: 39.8499 },
+  { name: 'Malindi', county: 'Kilifi', lat: -3.2192, lng: 40.1169 },
+  { name: 'Hola', county: 'Tana River', lat: -1.4960, lng: 40.0300 },
+  { name: 'Lamu', county: 'Lamu', lat: -2.2717, lng: 40.9020 },
+  { name: 'Mwatate', county: 'Taita-Taveta', lat: -3.5050, lng: 38.3780 },
+  { name: 'Voi', county: 'Taita-Taveta', lat: -3.3960, lng: 38.5560 },
+  { name: 'Garissa', county: 'Garissa', lat: -0.4532, lng: 39.6461 },
+  { name: 'Wajir', county: 'Wajir', lat: 1.7471, lng: 40.0573 },
+  { name: 'Mandera', county: 'Mandera', lat: 3.9366, lng: 41.8670 },
+  { name: 'Marsabit', county: 'Marsabit', lat: 2.3284, lng: 37.9899 },
+  { name: 'Isiolo', county: 'Isiolo', lat: 0.3546, lng: 37.5822 },
+  { name: 'Meru', county: 'Meru', lat: 0.0470, lng: 37.6490 },
+  { name: 'Chuka', county: 'Tharaka-Nithi', lat: -0.3330, lng: 37.6450 },
+  { name: 'Embu', county: 'Embu', lat: -0.5310, lng: 37.4500 },
+  { name: 'Kitui', county: 'Kitui', lat: -1.3670, lng: 38.0106 },
+  { name: 'Machakos', county: 'Machakos', lat: -1.5177, lng: 37.2634 },
+  { name: 'Athi River', county: 'Machakos', lat: -1.4563, lng: 36.9785 },
+  { name: 'Wote', county: 'Makueni', lat: -1.7833, lng: 37.6333 },
+  { name: 'Ol Kalou', county: 'Nyandarua', lat: -0.2710, lng: 36.3790 },
+  { name: 'Nyeri', county: 'Nyeri', lat: -0.4201, lng: 36.9476 },
+  { name: 'Kerugoya', county: 'Kirinyaga', lat: -0.4989, lng: 37.2803 },
+  { name: "Murang'a", county: "Murang'a", lat: -0.7210, lng: 37.1526 },
+  { name: 'Kiambu', county: 'Kiambu', lat: -1.1714, lng: 36.8356 },
+  { name: 'Thika', county: 'Kiambu', lat: -1.0333, lng: 37.0693 },
+  { name: 'Ruiru', county: 'Kiambu', lat: -1.1466, lng: 36.9609 },
+  { name: 'Juja', county: 'Kiambu', lat: -1.1022, lng: 37.0144 },
+  { name: 'Limuru', county: 'Kiambu', lat: -1.1136, lng: 36.6422 },
+  { name: 'Lodwar', county: 'Turkana', lat: 3.1191, lng: 35.5973 },
+  { name: 'Kapenguria', county: 'West Pokot', lat: 1.2389, lng: 35.1119 },
+  { name: 'Maralal', county: 'Samburu', lat: 1.0968, lng: 36.6980 },
+  { name: 'Kitale', county: 'Trans Nzoia', lat: 1.0157, lng: 35.0062 },
+  { name: 'Eldoret', county: 'Uasin Gishu', lat: 0.5143, lng: 35.2698 },
+  { name: 'Iten', county: 'Elgeyo-Marakwet', lat: 0.6703, lng: 35.5081 },
+  { name: 'Kapsabet', county: 'Nandi', lat: 0.2039, lng: 35.1050 },
+  { name: 'Kabarnet', county: 'Baringo', lat: 0.4919, lng: 35.7430 },
+  { name: 'Rumuruti', county: 'Laikipia', lat: 0.2725, lng: 36.5381 },
+  { name: 'Nanyuki', county: 'Laikipia', lat: 0.0167, lng: 37.0667 },
+  { name: 'Nakuru', county: 'Nakuru', lat: -0.3031, lng: 36.0800 },
+  { name: 'Naivasha', county: 'Nakuru', lat: -0.7167, lng: 36.4333 },
+  { name: 'Narok', county: 'Narok', lat: -1.0783, lng: 35.8601 },
+  { name: 'Kajiado', county: 'Kajiado', lat: -1.8524, lng: 36.7768 },
+  { name: 'Kitengela', county: 'Kajiado', lat: -1.4767, lng: 36.9597 },
+  { name: 'Ngong', county: 'Kajiado', lat: -1.3527, lng: 36.6699 },
+  { name: 'Kericho', county: 'Kericho', lat: -0.3677, lng: 35.2831 },
+  { name: 'Bomet', county: 'Bomet', lat: -0.7827, lng: 35.3428 },
+  { name: 'Kakamega', county: 'Kakamega', lat: 0.2827, lng: 34.7519 },
+  { name: 'Mbale', county: 'Vihiga', lat: 0.0833, lng: 34.7167 },
+  { name: 'Bungoma', county: 'Bungoma', lat: 0.5635, lng: 34.5606 },
+  { name: 'Busia', county: 'Busia', lat: 0.4608, lng: 34.1115 },
+  { name: 'Siaya', county: 'Siaya', lat: 0.0607, lng: 34.2881 },
+  { name: 'Kisumu', county: 'Kisumu', lat: -0.0917, lng: 34.7680 },
+  { name: 'Homa Bay', county: 'Homa Bay', lat: -0.5273, lng: 34.4571 },
+  { name: 'Migori', county: 'Migori', lat: -1.0634, lng: 34.4731 },
+  { name: 'Kisii', county: 'Kisii', lat: -0.6817, lng: 34.7667 },
+  { name: 'Nyamira', county: 'Nyamira', lat: -0.5633, lng: 34.9358 },
+  { name: 'Nairobi', county: 'Nairobi', lat: -1.2864, lng: 36.8172 },
+  { name: 'Westlands', county: 'Nairobi', lat: -1.2676, lng: 36.8108 },
+  { name: 'Upper Hill', county: 'Nairobi', lat: -1.2990, lng: 36.8147 },
+];
+
+function key(name) {
+  return String(name || '').trim().toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const townsByKey = new Map(TOWNS.map((t) => [key(t.name), t]));
+const countySeats = new Map();
+for (const t of TOWNS) {
+  if (!countySeats.has(t.county)) countySeats.set(t.county, t);
+}
+const countiesByKey = new Map([...countySeats.keys()].map((c) => [key(c), c]));
+
+export const COUNTIES = [...countySeats.keys()].sort();
+
+export function findTown(name) {
+  return townsByKey.get(key(name)) || null;
+}
+
+// Canonical county name for loose input ("nairobi", "Taita Taveta", "Nairobi County")
+export function findCounty(name) {
+  const k = key(name).replace(/ county$/, '');
+  return countiesByKey.get(k) || null;
+}
+
+export function countySeat(county) {
+  return countySeats.get(county) || null;
+}
+
+export function distanceKm(a, b) {
+  const R = 6371;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// Towns within radiusKm of a place (town or county seat); null when the place is unknown
+export function townsWithinRadius(place, radiusKm) {
+  const origin = findTown(place) || countySeat(findCounty(place));
+  if (!origin) return null;
+  return TOWNS.filter((t) => distanceKm(origin, t) <= radiusKm);
+}
@@ -0,0 +1,133 @@
+/**
+ * Structured opportunity locations: one or more { county, town } entries plus a work mode.
+ * The legacy `location` string is kept as the display value and parsed into entries when needed.
+ */
+
+import { findTown, findCounty, countySeat, townsWithinRadius } from './kenyaGazetteer.js';
+
+export const WORK_MODES = ['onsite', 'hybrid', 'remote'];
+export const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+// Free-text values that mean "no specific place"
+const UNSPECIFIED = ['various', 'multiple', 'nationwide', 'countrywide', 'kenya', 'any', 'tbd'];
+
+function toEntry(part) {
+  const town = findTown(part);
+  if (town) return { county: town.county, town: town.name };
+  const county = findCounty(part);
+  if (county) return { county };
+  return null;
+}
+
+// Parse a legacy string such as "Nairobi / Mombasa", "Various" or "Remote (Nairobi)"
+export function parseLocationString(str) {
+  const result = { locations: [], workMode: null, unmatched: [] };
+  if (!str || typeof str !== 'string') return result;
+  const lowered = str.toLowerCase();
+  if (/\bremote\b/.test(lowered)) result.workMode = 'remote';
+  if (/\bhybrid\b/.test(lowered)) result.workMode = 'hybrid';
+  const parts = str
+    .replace(/\b(remote|hybrid|on-?site)\b/gi, ' ')
+    .split(/[/,;&()|]|\band\b/i)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  for (const part of parts) {
+    if (UNSPECIFIED.includes(part.toLowerCase())) continue;
+    const entry = toEntry(part);
+    if (!entry) {
+      result.unmatched.push(part);
+    } else if (!result.locations.some((l) => l.county === entry.county && l.town === entry.town)) {
+      result.locations.push(entry);
+    }
+  }
+  return result;
+}
+
+// Validate structured input: [{ county, town }] or plain place names
+export function normalizeLocations(input) {
+  if (!Array.isArray(input)) return { locations: [], error: 'Locations must be an array' };
+  const locations = [];
+  for (const item of input) {
+    const raw = typeof item === 'string' ? { town: item } : item || {};
+    const county = raw.county ? findCounty(raw.county) : null;
+    if (raw.county && !county) return { locations: [], error: `Unknown county: ${raw.county}` };
+    const town = raw.town ? findTown(raw.town) : null;
+    if (raw.town && !town && !county) {
+      const asCounty = findCounty(raw.town);
+      if (!asCounty) return { locations: [], error: `Unknown town: ${raw.town}. Specify its county.` };
+      locations.push({ county: asCounty });
+      continue;
+    }
+    if (town && county && town.county !== county) {
+      return { locations: [], error: `${town.name} is in ${town.county} county, not ${county}` };
+    }
+    if (!town && !county) return { locations: [], error: 'Each location needs a county or town' };
+    // Towns missing from the gazetteer are kept as given under their county
+    locations.push({ county: town?.county || county, ...(raw.town && { town: town?.name || String(raw.town).trim() }) });
+  }
+  return { locations, error: null };
+}
+
+export function formatLocations(locations = [], workMode) {
+  const places = locations.map((l) => l.town || `${l.county} County`).join(' / ');
+  if (workMode === 'remote') return places ? `Remote (${places})` : 'Remote';
+  if (workMode === 'hybrid') return places ? `${places} (Hybrid)` : 'Hybrid';
+  return places || undefined;
+}
+
+/**
+ * Keep location, locations and workMode consistent on create/update data (mutates `data`).
+ * Structured locations win; otherwise a changed location string is parsed. Returns an error message or null.
+ */
+export function applyStructuredLocation(data) {
+  if (data.workMode != null && !WORK_MODES.includes(data.workMode)) {
+    return `Work mode must be one of: ${WORK_MODES.join(', ')}`;
+  }
+  if (data.locations !== undefined && data.locations !== null) {
+    const { locations, error } = normalizeLocations(data.locations);
+    if (error) return error;
+    data.locations = locations;
+    if (data.location === undefined) data.location = formatLocations(locations, data.workMode);
+  } else if (typeof data.location === 'string') {
+    const parsed = parseLocationString(data.location);
+    data.locations = parsed.locations;
+    if (data.workMode == null && parsed.workMode) data.workMode = parsed.workMode;
+  }
+  return null;
+}
+
+/**
+ * Listing filters for county (comma-separated), workMode and near + radiusKm.
+ * Returns { fieldFilters, nearMatch, error }.
+ */
+export function buildLocationFilters({ county, workMode, near, radiusKm } = {}) {
+  const fieldFilters = {};
+  let nearMatch = null;
+  if (typeof county === 'string' && county.trim()) {
+    const names = county.split(',').map((c) => c.trim()).filter(Boolean);
+    const counties = names.map(findCounty);
+    const unknown = names.filter((_, i) => !counties[i]);
+    if (unknown.length) return { fieldFilters, nearMatch, error: `Unknown county: ${unknown.join(', ')}` };
+    fieldFilters['locations.county'] = { $in: counties };
+  }
+  if (typeof workMode === 'string' && workMode.trim()) {
+    if (!WORK_MODES.includes(workMode)) {
+      return { fieldFilters, nearMatch, error: `Work mode must be one of: ${WORK_MODES.join(', ')}` };
+    }
+    fieldFilters.workMode = workMode;
+  }
+  if (typeof near === 'string' && near.trim()) {
+    const radius = Math.min(MAX_RADIUS_KM, Math.max(1, Number(radiusKm) || DEFAULT_RADIUS_KM));
+    const towns = townsWithinRadius(near, radius);
+    if (!towns) return { fieldFilters, nearMatch, error: `Unknown town: ${near}` };
+    // County-only entries count as near when their county seat is within the radius
+    const counties = [...new Set(towns.filter((t) => countySeat(t.county)?.name === t.name).map((t) => t.county))];
+    nearMatch = {
+      $or: [
+        { 'locations.town': { $in: towns.map((t) => t.name) } },
+        { locations: { $elemMatch: { town: null, county: { $in: counties } } } },
+      ],
+    };
+  }
+  return { fieldFilters, nearMatch, error: null };
+}
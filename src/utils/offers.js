@@ -0,0 +1,333 @@
+/**
+ * Offer letters for accepted applications. An admin issues an offer (start date, stipend, supervisor,
+ * response deadline); the letter is rendered from a template with {{placeholders}} and sent as a PDF.
+ * The student accepts or declines before the deadline; the scheduler lapses offers nobody answered.
+ * Declining or lapsing moves the application to "declined", which frees its position.
+ */
+
+import Application from '../models/Application.js';
+import Offer from '../models/Offer.js';
+import Opportunity from '../models/Opportunity.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import { renderTextPdf } from './pdf.js';
+import { transitionApplication } from './applicationStatus.js';
+import { logApplicationEvent } from './applicationTimeline.js';
+import { syncPositions } from './positions.js';
+import { sendOfferLetterEmail, sendOfferLapsedEmail, sendAdminOfferResponseEmail } from './sendEmail.js';
+
+const TIME_ZONE = 'Africa/Nairobi';
+const MAX_TEMPLATE_LENGTH = 10000;
+const STIPEND_PERIODS = ['month', 'week', 'total'];
+
+export const OFFER_PLACEHOLDERS = [
+  'applicantName', 'opportunityTitle', 'company', 'startDate', 'duration', 'location',
+  'stipend', 'supervisorName', 'supervisorTitle', 'responseDeadline', 'issueDate',
+];
+
+export const DEFAULT_OFFER_TEMPLATE = `Dear {{applicantName}},
+
+We are delighted to offer you a place on {{opportunityTitle}} at {{company}}, following your application through CareerStart.
+
+Start date: {{startDate}}
+Duration: {{duration}}
+Location: {{location}}
+Stipend: {{stipend}}
+Supervisor: {{supervisorName}}, {{supervisorTitle}}
+
+Your supervisor will guide your work and be your first point of contact during the placement. Further joining instructions will be shared before your start date.
+
+Please accept or decline this offer on CareerStart by {{responseDeadline}}. If we do not receive your response by then, the offer will lapse.
+
+We look forward to welcoming you.
+
+Yours sincerely,
+{{company}}
+Issued {{issueDate}} via CareerStart`;
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', { timeZone: TIME_ZONE, day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('en-GB', { timeZone: TIME_ZONE, dateStyle: 'long', timeStyle: 'short' }) + ' EAT';
+}
+
+export function formatStipend(stipend) {
+  if (!stipend?.amount) return 'Unpaid';
+  const amount = `${stipend.currency || 'KES'} ${Number(stipend.amount).toLocaleString('en-KE')}`;
+  return stipend.period === 'total' ? `${amount} in total` : `${amount} per ${stipend.period || 'month'}`;
+}
+
+export function offerUrl(applicationId) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${frontendUrl}/dashboard/applications/${applicationId}/offer`;
+}
+
+// Placeholders used in `template` that are not in OFFER_PLACEHOLDERS
+function unknownPlaceholders(template) {
+  const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]);
+  return [...new Set(used.filter((key) => !OFFER_PLACEHOLDERS.includes(key)))];
+}
+
+export function renderOfferLetter(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => values[key] ?? '');
+}
+
+/**
+ * Validate the admin's offer body. Returns { data } with normalized fields, or { error }.
+ */
+export function validateOfferInput(body = {}) {
+  const startDate = new Date(body.startDate);
+  if (!body.startDate || Number.isNaN(startDate.getTime())) return { error: 'startDate must be a valid date' };
+  const responseDeadline = new Date(body.responseDeadline);
+  if (!body.responseDeadline || Number.isNaN(responseDeadline.getTime())) return { error: 'responseDeadline must be a valid date' };
+  if (responseDeadline <= new Date()) return { error: 'responseDeadline must be in the future' };
+  if (responseDeadline > startDate) return { error: 'responseDeadline must be before the start date' };
+
+  const stipend = body.stipend ?? {};
+  const amount = Number(stipend.amount ?? 0);
+  if (!Number.isFinite(amount) || amount < 0) return { error: 'stipend.amount must be 0 or more' };
+  const period = stipend.period ?? 'month';
+  if (!STIPEND_PERIODS.includes(period)) return { error: `stipend.period must be one of ${STIPEND_PERIODS.join(', ')}` };
+
+  const supervisor = body.supervisor ?? {};
+  if (typeof supervisor.name !== 'string' || !supervisor.name.trim()) return { error: 'supervisor.name is required' };
+  if (supervisor.email != null && supervisor.email !== '' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(supervisor.email))) {
+    return { error: 'supervisor.email must be a valid email address' };
+  }
+
+  let template = DEFAULT_OFFER_TEMPLATE;
+  if (body.template !== undefined && body.template !== null && body.template !== '') {
+    if (typeof body.template !== 'string' || body.template.length > MAX_TEMPLATE_LENGTH) {
+      return { error: `template must be text of at most ${MAX_TEMPLATE_LENGTH} characters` };
+    }
+    const unknown = unknownPlaceholders(body.template);
+    if (unknown.length) {
+      return { error: `Unknown placeholders: ${unknown.join(', ')}. Use: ${OFFER_PLACEHOLDERS.join(', ')}` };
+    }
+    template = body.template;
+  }
+
+  return {
+    data: {
+      startDate,
+      responseDeadline,
+      stipend: { amount, currency: 'KES', period },
+      supervisor: {
+        name: supervisor.name.trim(),
+        title: typeof supervisor.title === 'string' ? supervisor.title.trim() : undefined,
+        email: supervisor.email ? String(supervisor.email).trim() : undefined,
+      },
+      template,
+    },
+  };
+}
+
+export function offerLetterPdf(offer, opportunity) {
+  return renderTextPdf({
+    title: `Offer letter: ${opportunity?.title || 'Opportunity'}`,
+    paragraphs: offer.letterText.split(/\n{2,}/),
+  });
+}
+
+/**
+ * Issue an offer for an accepted application and send it (inbox message plus email with the PDF).
+ * Returns { offer } or { error: { status, message } }.
+ */
+export async function issueOffer(application, data, actor) {
+  if (application.status !== 'accepted') {
+    return { error: { status: 400, message: 'Offers can only be issued for accepted applications' } };
+  }
+  const [opportunity, user] = await Promise.all([
+    Opportunity.findById(application.opportunityId).select('title company duration location').lean(),
+    User.findById(application.userId).select('name email').lean(),
+  ]);
+  if (!opportunity || !user) return { error: { status: 404, message: 'Application not found' } };
+
+  const letterText = renderOfferLetter(data.template, {
+    applicantName: user.name || 'Applicant',
+    opportunityTitle: opportunity.title,
+    company: opportunity.company,
+    startDate: formatDate(data.startDate),
+    duration: opportunity.duration || 'As agreed',
+    location: opportunity.location || 'As agreed',
+    stipend: formatStipend(data.stipend),
+    supervisorName: data.supervisor.name,
+    supervisorTitle: data.supervisor.title || 'Supervisor',
+    responseDeadline: formatDateTime(data.responseDeadline),
+    issueDate: formatDate(new Date()),
+  });
+
+  let offer;
+  try {
+    offer = await Offer.create({
+      applicationId: application._id,
+      opportunityId: application.opportunityId,
+      userId: application.userId,
+      startDate: data.startDate,
+      stipend: data.stipend,
+      supervisor: data.supervisor,
+      responseDeadline: data.responseDeadline,
+      letterText,
+      issuedBy: actor?._id,
+    });
+  } catch (err) {
+    if (err.code === 11000) return { error: { status: 409, message: 'This application already has an open offer' } };
+    throw err;
+  }
+
+  const pdf = offerLetterPdf(offer, opportunity);
+  const emailResult = user.email
+    ? await sendOfferLetterEmail({
+      to: user.email,
+      name: user.name,
+      opportunityTitle: opportunity.title,
+      company: opportunity.company,
+      responseDeadline: formatDateTime(offer.responseDeadline),
+      offerUrl: offerUrl(application._id),
+      pdf,
+    })
+    : { ok: false };
+  await Message.create({
+    userId: application.userId,
+    applicationId: application._id,
+    opportunityId: application.opportunityId,
+    type: 'offer',
+    subject: `Your offer for ${opportunity.title}`,
+    content: letterText,
+    emailSent: !!emailResult.ok,
+  });
+  await logApplicationEvent({
+    application,
+    type: 'offer_issued',
+    actor,
+    externalNote: `Please respond by ${formatDateTime(offer.responseDeadline)}.`,
+    data: { offerId: offer._id, responseDeadline: offer.responseDeadline },
+  });
+  return { offer };
+}
+
+async function notifyAdminOfResponse(offer, decision, reason) {
+  if (!process.env.ADMIN_EMAIL) return;
+  const [opportunity, user] = await Promise.all([
+    Opportunity.findById(offer.opportunityId).select('title').lean(),
+    User.findById(offer.userId).select('name email').lean(),
+  ]);
+  await sendAdminOfferResponseEmail({
+    to: process.env.ADMIN_EMAIL,
+    opportunityTitle: opportunity?.title || 'an opportunity',
+    applicantName: user?.name,
+    applicantEmail: user?.email,
+    decision,
+    reason,
+  });
+}
+
+/**
+ * Student's answer to their open offer: decision 'accept' or 'decline' (optional reason).
+ * Returns { offer } or { error: { status, message } }.
+ */
+export async function respondToOffer(application, decision, { reason, actor }) {
+  const status = decision === 'accept' ? 'accepted' : 'declined';
+  const now = new Date();
+  const offer = await Offer.findOneAndUpdate(
+    { applicationId: application._id, status: 'pending', responseDeadline: { $gt: now } },
+    { $set: { status, respondedAt: now, declineReason: status === 'declined' ? reason : undefined } },
+    { new: true }
+  ).lean();
+  if (!offer) {
+    const latest = await Offer.findOne({ applicationId: application._id }).sort({ createdAt: -1 }).select('status').lean();
+    if (!latest) return { error: { status: 404, message: 'No offer found for this application' } };
+    if (latest.status === 'pending') return { error: { status: 409, message: 'The response deadline for this offer has passed' } };
+    return { error: { status: 409, message: `This offer has already been ${latest.status}` } };
+  }
+
+  if (status === 'declined') {
+    const result = await transitionApplication(application, 'declined', { actor, data: { offerId: offer._id } });
+    if (result.error) {
+      // Application moved on meanwhile (e.g. rescinded); put the offer back as it was
+      await Offer.updateOne({ _id: offer._id }, { $set: { status: 'pending' }, $unset: { respondedAt: 1, declineReason: 1 } });
+      return { error: result.error };
+    }
+    await syncPositions(application.opportunityId, actor);
+  }
+  await logApplicationEvent({
+    application,
+    type: status === 'accepted' ? 'offer_accepted' : 'offer_declined',
+    actor,
+    internalNote: reason,
+    data: { offerId: offer._id },
+  });
+  void notifyAdminOfResponse(offer, status, reason).catch((err) => console.error('[Offers] Admin notice failed:', err.message));
+  return { offer };
+}
+
+// Admin: withdraw an open offer (the application stays accepted, so a corrected offer can be issued)
+export async function withdrawOffer(application, actor) {
+  const offer = await Offer.findOneAndUpdate(
+    { applicationId: application._id, status: 'pending' },
+    { $set: { status: 'withdrawn' } },
+    { new: true }
+  ).lean();
+  if (!offer) return { error: { status: 404, message: 'No open offer for this application' } };
+  const opportunity = await Opportunity.findById(offer.opportunityId).select('title').lean();
+  await Message.create({
+    userId: offer.userId,
+    applicationId: offer.applicationId,
+    opportunityId: offer.opportunityId,
+    type: 'offer',
+    subject: `Your offer for ${opportunity?.title || 'an opportunity'} has been withdrawn`,
+    content: 'The hiring team has withdrawn this offer letter. If a revised offer is issued, you will receive it here.',
+    emailSent: false,
+  });
+  await logApplicationEvent({ application, type: 'offer_withdrawn', actor, data: { offerId: offer._id } });
+  return { offer };
+}
+
+/**
+ * Scheduler job: lapse pending offers past their response deadline. Each offer is claimed with a
+ * conditional update, then its application moves to declined (freeing the position) and the student
+ * is told by message and email.
+ */
+export async function lapseExpiredOffers(now = new Date()) {
+  const expired = await Offer.find({ status: 'pending', responseDeadline: { $lte: now } }).select('_id').lean();
+  let lapsed = 0;
+  for (const { _id } of expired) {
+    try {
+      const offer = await Offer.findOneAndUpdate(
+        { _id, status: 'pending' },
+        { $set: { status: 'lapsed', respondedAt: now } },
+        { new: true }
+      ).lean();
+      if (!offer) continue;
+      const application = await Application.findById(offer.applicationId).select('status opportunityId userId').lean();
+      if (application?.status === 'accepted') {
+        const result = await transitionApplication(application, 'declined', { data: { offerId: offer._id, lapsed: true } });
+        if (!result.error) await syncPositions(application.opportunityId);
+      }
+      await logApplicationEvent({ application: offer.applicationId, type: 'offer_lapsed', data: { offerId: offer._id } });
+
+      const [user, opportunity] = await Promise.all([
+        User.findById(offer.userId).select('name email').lean(),
+        Opportunity.findById(offer.opportunityId).select('title').lean(),
+      ]);
+      const emailResult = user?.email && opportunity
+        ? await sendOfferLapsedEmail({ to: user.email, name: user.name, opportunityTitle: opportunity.title })
+        : { ok: false };
+      await Message.create({
+        userId: offer.userId,
+        applicationId: offer.applicationId,
+        opportunityId: offer.opportunityId,
+        type: 'offer',
+        subject: `Your offer for ${opportunity?.title || 'an opportunity'} has lapsed`,
+        content: 'The response deadline passed without a reply, so this offer has lapsed.',
+        emailSent: !!emailResult.ok,
+      });
+      lapsed++;
+    } catch (err) {
+      console.error(`[Scheduler] Error lapsing offer ${_id}:`, err.message);
+    }
+  }
+  return lapsed;
+}
@@ -0,0 +1,37 @@
+/**
+ * Listing filters shared by GET /api/opportunities and saved-search alerts.
+ * baseMatch holds the active + text-search conditions; fieldFilters holds the per-facet filters.
+ */
+
+import escapeStringRegexp from 'escape-string-regexp';
+import { buildLocationFilters } from './locations.js';
+
+export const FILTER_FIELDS = ['category', 'location', 'type', 'duration', 'search', 'county', 'workMode', 'near', 'radiusKm'];
+
+export function safeRegex(str) {
+  if (!str || typeof str !== 'string') return null;
+  try {
+    return new RegExp(escapeStringRegexp(str.trim()), 'i');
+  } catch {
+    return null;
+  }
+}
+
+// error is set (and should be returned as a 400) when a county, work mode or town is not recognised
+export function buildListingFilters({ category, location, type, duration, search, county, workMode, near, radiusKm } = {}) {
+  const baseMatch = { isActive: true };
+  const searchText = typeof search === 'string' ? search.trim() : '';
+  if (searchText) baseMatch.$text = { $search: searchText };
+  const fieldFilters = {};
+  const catRe = safeRegex(category);
+  if (catRe) fieldFilters.category = catRe;
+  const locRe = safeRegex(location);
+  if (locRe) fieldFilters.location = locRe;
+  if (type && typeof type === 'string') fieldFilters.type = type;
+  const durRe = safeRegex(duration);
+  if (durRe) fieldFilters.duration = durRe;
+  const locationFilters = buildLocationFilters({ county, workMode, near, radiusKm });
+  Object.assign(fieldFilters, locationFilters.fieldFilters);
+  if (locationFilters.nearMatch) baseMatch.$and = [locationFilters.nearMatch];
+  return { baseMatch, fieldFilters, searchText, error: locationFilters.error };
+}
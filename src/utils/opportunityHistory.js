@@ -0,0 +1,89 @@
+/**
+ * Versioned change history for opportunities. Each revision stores the field-level diff
+ * and a snapshot of the tracked fields so any version can be restored.
+ */
+
+import OpportunityRevision from '../models/OpportunityRevision.js';
+
+export const TRACKED_FIELDS = [
+  'title', 'company', 'companyLogo', 'companyId', 'externalRef', 'type', 'description', 'requirements',
+  'questions', 'rubric', 'eligibility', 'location', 'locations', 'workMode', 'duration', 'category', 'applicationFee',
+  'deadline', 'gracePeriodHours', 'positions', 'waitlistEnabled', 'isActive', 'closedAt', 'closedReason',
+  'isDraft', 'publishAt', 'publishedAt',
+];
+
+function plain(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject() : doc;
+}
+
+export function snapshotOf(doc) {
+  const source = plain(doc) || {};
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    if (source[field] !== undefined) snapshot[field] = source[field];
+  }
+  return snapshot;
+}
+
+// Stable comparison key: dates and ObjectIds compare by their string form
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value);
+}
+
+export function diffSnapshots(before, after) {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    const from = before?.[field];
+    const to = after?.[field];
+    if (comparable(from) !== comparable(to)) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record a revision for an opportunity. `before` is the state prior to the change (null for creates).
+ * Opportunities that pre-date history get a baseline revision first so their original state can be restored.
+ * Returns the new revision, or null when nothing tracked changed.
+ */
+export async function recordRevision({ opportunity, before = null, action, actor = null, restoredFromVersion }) {
+  const after = snapshotOf(opportunity);
+  const previous = before ? snapshotOf(before) : null;
+  const changes = diffSnapshots(previous, after);
+  if (previous && changes.length === 0) return null;
+
+  const last = await OpportunityRevision.findOne({ opportunityId: opportunity._id }).sort({ version: -1 }).select('version').lean();
+  let version = last?.version || 0;
+  if (!last && previous) {
+    version += 1;
+    await OpportunityRevision.create({
+      opportunityId: opportunity._id,
+      version,
+      action: 'baseline',
+      changes: [],
+      snapshot: previous,
+    });
+  }
+
+  return OpportunityRevision.create({
+    opportunityId: opportunity._id,
+    version: version + 1,
+    action,
+    changes,
+    snapshot: after,
+    actorId: actor?._id,
+    actorRole: actor?.role || 'system',
+    restoredFromVersion,
+  });
+}
+
+// Logs and swallows failures (returning null): history must never fail the request that made the change
+export function recordRevisionSafe(args) {
+  return recordRevision(args).catch((err) => {
+    console.error('[History] Failed to record opportunity revision:', err.message);
+    return null;
+  });
+}
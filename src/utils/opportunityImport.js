@@ -0,0 +1,90 @@
+/**
+ * Bulk opportunity import (CSV or JSON). Rows are matched to existing opportunities by
+ * company + externalRef so a partner's recurring sheet can be re-imported without duplicates.
+ */
+
+import { parseCsv } from './csv.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const IMPORT_FIELDS = [
+  'externalRef', 'title', 'company', 'companyLogo', 'type', 'description', 'requirements', 'questions', 'eligibility',
+  'location', 'locations', 'workMode', 'duration', 'category', 'applicationFee', 'deadline', 'gracePeriodHours',
+  'positions', 'waitlistEnabled', 'isActive',
+];
+
+function isJsonFile(file) {
+  return /\.json$/i.test(file.originalname || '') || file.mimetype === 'application/json';
+}
+
+function isCsvFile(file) {
+  return /\.csv$/i.test(file.originalname || '') || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+}
+
+// Returns raw row objects from the uploaded file; throws with a user-facing message on bad input
+export function parseImportFile(file) {
+  const text = file.buffer.toString('utf8');
+  let rows;
+  if (isJsonFile(file)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new Error('Invalid JSON file');
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed?.opportunities;
+    if (!Array.isArray(rows)) throw new Error('JSON must be an array of opportunities or { "opportunities": [...] }');
+  } else if (isCsvFile(file)) {
+    rows = parseCsv(text);
+  } else {
+    throw new Error('Only .csv and .json files are supported');
+  }
+  if (rows.length === 0) throw new Error('The file contains no rows');
+  if (rows.length > MAX_IMPORT_ROWS) throw new Error(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  return rows;
+}
+
+function blankToUndefined(value) {
+  return typeof value === 'string' && value.trim() === '' ? undefined : value;
+}
+
+function toNumber(value) {
+  value = blankToUndefined(value);
+  if (value === undefined || value === null || typeof value === 'number') return value;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : value; // leave invalid input for the validators to report
+}
+
+// Coerce CSV strings (and loose JSON) into the shape POST /api/opportunities accepts
+export function normalizeImportRow(raw) {
+  const row = {};
+  for (const k of IMPORT_FIELDS) {
+    const value = blankToUndefined(raw?.[k]);
+    if (value !== undefined) row[k] = value;
+  }
+  if (typeof row.externalRef === 'number') row.externalRef = String(row.externalRef);
+  if (typeof row.externalRef === 'string') row.externalRef = row.externalRef.trim();
+  if (typeof row.requirements === 'string') {
+    row.requirements = row.requirements.split(/[;|]/).map((r) => r.trim()).filter(Boolean);
+  }
+  // CSV cells may hold JSON for structured fields; invalid JSON is left for the validators to report
+  for (const k of ['questions', 'eligibility', 'locations']) {
+    if (typeof row[k] === 'string') {
+      try {
+        row[k] = JSON.parse(row[k]);
+      } catch {
+        // keep the raw string
+      }
+    }
+  }
+  if ('applicationFee' in row) row.applicationFee = toNumber(row.applicationFee);
+  if ('gracePeriodHours' in row) row.gracePeriodHours = toNumber(row.gracePeriodHours);
+  if ('positions' in row) row.positions = toNumber(row.positions);
+  if (typeof row.isActive === 'string') row.isActive = !['false', '0', 'no'].includes(row.isActive.toLowerCase());
+  if (typeof row.waitlistEnabled === 'string') row.waitlistEnabled = ['true', '1', 'yes'].includes(row.waitlistEnabled.toLowerCase());
+  return row;
+}
+
+export function importKey(company, externalRef) {
+  return `${String(company).trim()}\u0000${externalRef}`;
+}
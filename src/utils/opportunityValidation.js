@@ -0,0 +1,41 @@
+/**
+ * Opportunity input rules shared by POST /api/opportunities and the bulk importer,
+ * so an imported row is accepted exactly when the same data would be accepted by POST.
+ */
+
+import { body, validationResult } from 'express-validator';
+import { validateQuestionDefinitions } from './applicationQuestions.js';
+import { validateEligibilityDefinition } from './eligibility.js';
+import { applyStructuredLocation } from './locations.js';
+
+export const opportunityValidators = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('company').trim().notEmpty().withMessage('Company is required'),
+  body('type').isIn(['internship', 'attachment']).withMessage('Type must be internship or attachment'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('applicationFee').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Application fee must be a non-negative number'),
+  body('positions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Positions must be a whole number of at least 1'),
+  body('waitlistEnabled').optional().isBoolean().withMessage('waitlistEnabled must be true or false'),
+  body('deadline').optional({ nullable: true }).isISO8601().withMessage('Deadline must be a valid date'),
+  body('gracePeriodHours').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Grace period must be a non-negative number of hours'),
+  body('isDraft').optional().isBoolean().withMessage('isDraft must be true or false'),
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('publishAt must be a valid date'),
+];
+
+// Run the POST validators against a plain object; returns sanitized data and { field, message } errors
+export async function validateOpportunityData(data) {
+  const req = { body: { ...data } };
+  for (const chain of opportunityValidators) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req)
+    .array()
+    .map((e) => ({ field: e.path, message: e.msg }));
+  const questionError = validateQuestionDefinitions(req.body.questions);
+  if (questionError) errors.push({ field: 'questions', message: questionError });
+  const eligibilityError = validateEligibilityDefinition(req.body.eligibility);
+  if (eligibilityError) errors.push({ field: 'eligibility', message: eligibilityError });
+  const locationError = applyStructuredLocation(req.body);
+  if (locationError) errors.push({ field: 'locations', message: locationError });
+  return { data: req.body, errors };
+}
@@ -0,0 +1,126 @@
+/**
+ * Keyset (cursor) pagination with named sort orders, falling back to page numbers when no cursor is sent.
+ * Cursors are opaque base64url tokens holding the sort name and the last item's sort-key values.
+ */
+
+import mongoose from 'mongoose';
+
+const FAR_FUTURE = new Date('9999-12-31T00:00:00Z');
+
+// Sort orders: `keys` are [field, direction] pairs ending in _id; `addFields` computes derived keys
+export const OPPORTUNITY_SORTS = {
+  newest: { keys: [['createdAt', -1], ['_id', -1]] },
+  deadline: {
+    // Soonest first; opportunities without a deadline go last
+    addFields: { _deadlineKey: { $ifNull: ['$deadline', FAR_FUTURE] } },
+    keys: [['_deadlineKey', 1], ['_id', 1]],
+  },
+  fee: {
+    addFields: { _feeKey: { $ifNull: ['$applicationFee', 350] } },
+    keys: [['_feeKey', 1], ['_id', 1]],
+  },
+  fee_desc: {
+    addFields: { _feeKey: { $ifNull: ['$applicationFee', 350] } },
+    keys: [['_feeKey', -1], ['_id', -1]],
+  },
+  most_applied: {
+    addFields: { _appliedKey: { $ifNull: ['$applicationCount', 0] } },
+    keys: [['_appliedKey', -1], ['_id', -1]],
+  },
+  relevance: {
+    // Only valid with a $text match
+    addFields: { score: { $meta: 'textScore' } },
+    keys: [['score', -1], ['_id', -1]],
+  },
+};
+
+export const APPLICATION_SORTS = {
+  newest: { keys: [['createdAt', -1], ['_id', -1]] },
+  oldest: { keys: [['createdAt', 1], ['_id', 1]] },
+  score: {
+    // Highest aggregate review score first; unreviewed applications go last
+    addFields: { _scoreKey: { $ifNull: ['$reviewScore', -1] } },
+    keys: [['_scoreKey', -1], ['_id', -1]],
+  },
+};
+
+function encodeValue(value) {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return { v: value ?? null };
+}
+
+function decodeValue(encoded) {
+  if ('d' in encoded) return new Date(encoded.d);
+  if ('o' in encoded) return new mongoose.Types.ObjectId(encoded.o);
+  return encoded.v;
+}
+
+export function encodeCursor(sortName, sort, doc) {
+  const payload = { s: sortName, k: sort.keys.map(([field]) => encodeValue(doc[field])) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns the decoded key values, or null when the cursor is malformed or belongs to another sort order
+export function decodeCursor(cursor, sortName, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.s !== sortName || !Array.isArray(payload.k) || payload.k.length !== sort.keys.length) return null;
+    const values = payload.k.map(decodeValue);
+    if (!(values[values.length - 1] instanceof mongoose.Types.ObjectId)) return null;
+    return values;
+  } catch {
+    return null;
+  }
+}
+
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with > / < following each key's direction
+function keysetMatch(keys, values) {
+  const or = keys.map(([field, dir], i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) clause[keys[j][0]] = values[j];
+    clause[field] = { [dir === 1 ? '$gt' : '$lt']: values[i] };
+    return clause;
+  });
+  return { $or: or };
+}
+
+/**
+ * Resolve the requested sort name against the allowed sorts. `fallback` is used for unknown names;
+ * relevance is only honoured when a text search is active.
+ */
+export function resolveSort(requested, sorts, { fallback = 'newest', hasText = false } = {}) {
+  let name = typeof requested === 'string' && sorts[requested] ? requested : fallback;
+  if (name === 'relevance' && !hasText) name = 'newest';
+  return { name, sort: sorts[name] };
+}
+
+/**
+ * Run a paginated aggregation. With `cursor` it continues after that item; otherwise it uses `page`.
+ * `project` is an optional $project applied to the returned items.
+ * Returns { items, nextCursor, hasMore, page } or { error } for an invalid cursor.
+ */
+export async function paginate(Model, { filter, sortName, sort, cursor, page = 1, limit, project }) {
+  const pipeline = [{ $match: filter }];
+  if (sort.addFields) pipeline.push({ $addFields: sort.addFields });
+  const usingCursor = typeof cursor === 'string' && cursor.length > 0;
+  if (usingCursor) {
+    const values = decodeCursor(cursor, sortName, sort);
+    if (!values) return { error: 'Invalid cursor' };
+    pipeline.push({ $match: keysetMatch(sort.keys, values) });
+  }
+  pipeline.push({ $sort: Object.fromEntries(sort.keys) });
+  if (!usingCursor && page > 1) pipeline.push({ $skip: (page - 1) * limit });
+  pipeline.push({ $limit: limit + 1 });
+  if (project) pipeline.push({ $project: project });
+
+  const docs = await Model.aggregate(pipeline);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  const nextCursor = hasMore ? encodeCursor(sortName, sort, items[items.length - 1]) : null;
+  const helperKeys = Object.keys(sort.addFields || {}).filter((k) => k.startsWith('_'));
+  for (const item of items) {
+    for (const k of helperKeys) delete item[k];
+  }
+  return { items, nextCursor, hasMore, page: usingCursor ? null : page };
+}
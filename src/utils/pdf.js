@@ -0,0 +1,121 @@
+/**
+ * Minimal text-only PDF writer (A4, Helvetica) for generated letters. Paragraphs are word-wrapped
+ * using approximate Helvetica glyph widths and flow onto new pages as needed. Text is limited to
+ * Latin-1; typographic punctuation is mapped to ASCII and anything else becomes "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 72;
+const FONT_SIZE = 11;
+const LEADING = 15;
+const TITLE_SIZE = 15;
+
+const ASCII_REPLACEMENTS = { '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '-', '…': '...' };
+
+function toLatin1(text) {
+  return String(text ?? '')
+    .replace(/[–—‘’“”•…]/g, (ch) => ASCII_REPLACEMENTS[ch])
+    .replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+// Approximate Helvetica advance widths in 1/1000 em
+function charWidth(ch) {
+  if (' ,.:;!|il\'`'.includes(ch)) return 278;
+  if ('fjrt()[]-'.includes(ch)) return 333;
+  if ('mwMW'.includes(ch)) return 833;
+  if (ch >= 'A' && ch <= 'Z') return 667;
+  return 556;
+}
+
+function textWidth(text, size) {
+  let width = 0;
+  for (const ch of text) width += charWidth(ch);
+  return (width * size) / 1000;
+}
+
+function wrap(paragraph, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+function escapePdfString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+/**
+ * Render `paragraphs` (strings; single newlines inside a paragraph are kept as line breaks) under an
+ * optional bold `title`. Returns a Buffer holding the PDF.
+ */
+export function renderTextPdf({ title, paragraphs }) {
+  const maxWidth = PAGE_WIDTH - 2 * MARGIN;
+  // [font, size, text] rows; null marks a paragraph gap
+  const rows = [];
+  if (title) {
+    for (const line of wrap(toLatin1(title), TITLE_SIZE, maxWidth)) rows.push(['F2', TITLE_SIZE, line]);
+    rows.push(null);
+  }
+  for (const paragraph of paragraphs) {
+    for (const part of toLatin1(paragraph).split('\n')) {
+      for (const line of wrap(part, FONT_SIZE, maxWidth)) rows.push(['F1', FONT_SIZE, line]);
+    }
+    rows.push(null);
+  }
+
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const row of rows) {
+    if (row === null) {
+      y -= LEADING / 2;
+      continue;
+    }
+    const [font, size, text] = row;
+    const height = size === TITLE_SIZE ? TITLE_SIZE + 6 : LEADING;
+    if (y - height < MARGIN) {
+      pages.push(ops);
+      ops = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    ops.push(`BT /${font} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapePdfString(text)}) Tj ET`);
+  }
+  pages.push(ops);
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and a content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  pages.forEach((pageOps, i) => {
+    const pageId = pageIds[i];
+    const stream = pageOps.join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(out, 'latin1');
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
@@ -0,0 +1,59 @@
+/**
+ * Position capacity for opportunities. acceptedCount mirrors the number of accepted applications;
+ * an opportunity with `positions` set closes itself when every slot is filled.
+ */
+
+import Opportunity from '../models/Opportunity.js';
+import Application from '../models/Application.js';
+import { isPastDeadline } from './deadlines.js';
+import { recordRevisionSafe } from './opportunityHistory.js';
+
+export function remainingPositions(opportunity) {
+  if (!opportunity?.positions) return null; // unlimited
+  return Math.max(0, opportunity.positions - (opportunity.acceptedCount || 0));
+}
+
+export function withRemainingPositions(opportunity) {
+  return { ...opportunity, remainingPositions: remainingPositions(opportunity) };
+}
+
+// Atomically claim a slot before accepting; returns false when the opportunity is full
+export async function reservePosition(opportunityId) {
+  const updated = await Opportunity.findOneAndUpdate(
+    {
+      _id: opportunityId,
+      $or: [{ positions: null }, { $expr: { $lt: [{ $ifNull: ['$acceptedCount', 0] }, '$positions'] } }],
+    },
+    { $inc: { acceptedCount: 1 } },
+    { new: true }
+  ).lean();
+  return !!updated;
+}
+
+export async function releasePosition(opportunityId) {
+  await Opportunity.updateOne({ _id: opportunityId, acceptedCount: { $gt: 0 } }, { $inc: { acceptedCount: -1 } });
+}
+
+/**
+ * Recount accepted applications, then close the opportunity when full or reopen it when a slot frees up
+ * (only if it was closed for being full, the deadline hasn't passed and there is no waitlist: with one, admins
+ * promote the next shortlisted applicant instead).
+ */
+export async function syncPositions(opportunityId, actor = null) {
+  const before = await Opportunity.findById(opportunityId).lean();
+  if (!before) return null;
+  const acceptedCount = await Application.countDocuments({ opportunityId, status: 'accepted' });
+  const updates = { acceptedCount };
+  const full = !!before.positions && acceptedCount >= before.positions;
+  if (full && before.isActive) {
+    Object.assign(updates, { isActive: false, closedAt: new Date(), closedReason: 'filled' });
+  } else if (!full && !before.isActive && before.closedReason === 'filled' && !before.waitlistEnabled && !isPastDeadline(before)) {
+    Object.assign(updates, { isActive: true, closedAt: null, closedReason: null });
+  }
+  const opportunity = await Opportunity.findByIdAndUpdate(opportunityId, updates, { new: true }).lean();
+  if (!opportunity) return null; // deleted in the meantime
+  if (opportunity.isActive !== before.isActive) {
+    await recordRevisionSafe({ opportunity, before, action: opportunity.isActive ? 'update' : 'close', actor });
+  }
+  return opportunity;
+}
@@ -0,0 +1,82 @@
+/**
+ * Promo codes and fee waivers. A code is reserved (usedCount incremented) when an applicant applies it
+ * to a pending_payment application and released if they remove it or withdraw before paying.
+ */
+
+import PromoCode from '../models/PromoCode.js';
+
+export const DEFAULT_APPLICATION_FEE = 350;
+
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+export function baseFee(opportunity) {
+  return opportunity?.applicationFee ?? DEFAULT_APPLICATION_FEE;
+}
+
+// Whole-shilling discount, never more than the fee
+export function discountFor(terms, fee) {
+  if (!terms?.discountType) return 0;
+  const raw = terms.discountType === 'percent' ? (fee * Math.min(100, terms.amount)) / 100 : terms.amount;
+  return Math.min(fee, Math.round(raw));
+}
+
+// What the applicant still has to pay, taking any applied promo code into account
+export function amountDue(application, opportunity) {
+  const fee = baseFee(opportunity);
+  return Math.max(0, fee - discountFor(application?.promoCode, fee));
+}
+
+function emailMatchesDomain(email, domains) {
+  const domain = String(email || '').toLowerCase().split('@')[1] || '';
+  return domains.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+// Returns a user-facing reason the code cannot be used, or null
+export function promoCodeError(promo, { opportunity, user, now = new Date() }) {
+  if (!promo || !promo.isActive) return 'Promo code not found';
+  if (promo.expiresAt && new Date(promo.expiresAt) < now) return 'Promo code has expired';
+  if (promo.maxUses != null && (promo.usedCount || 0) >= promo.maxUses) return 'Promo code has reached its usage limit';
+  if (promo.opportunityIds?.length && !promo.opportunityIds.some((id) => String(id) === String(opportunity._id))) {
+    return 'Promo code does not apply to this opportunity';
+  }
+  if (promo.categories?.length) {
+    const category = String(opportunity.category || '').toLowerCase();
+    if (!promo.categories.some((c) => c.toLowerCase() === category)) return 'Promo code does not apply to this opportunity';
+  }
+  if (promo.emailDomains?.length && !emailMatchesDomain(user?.email, promo.emailDomains)) {
+    return 'Promo code is not available for your email address';
+  }
+  return null;
+}
+
+// Atomically take one use of the code; false when the cap was reached or it was deactivated meanwhile
+export async function reservePromoCode(promoCodeId) {
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  ).lean();
+  return !!updated;
+}
+
+export async function releasePromoCode(promoCodeId) {
+  if (!promoCodeId) return;
+  await PromoCode.updateOne({ _id: promoCodeId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+}
+
+// Discount terms copied onto the application
+export function promoSnapshot(promo) {
+  return {
+    promoCodeId: promo._id,
+    code: promo.code,
+    discountType: promo.discountType,
+    amount: promo.amount,
+    appliedAt: new Date(),
+  };
+}
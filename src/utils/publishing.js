@@ -0,0 +1,44 @@
+/**
+ * Draft opportunities and scheduled publishing. Drafts are stored inactive and hidden from every
+ * public endpoint; publishing (manually or when `publishAt` is reached) makes them live and is the
+ * point at which the admin "new opportunity" email goes out.
+ */
+
+import Opportunity from '../models/Opportunity.js';
+import { isPastDeadline } from './deadlines.js';
+import { recordRevisionSafe } from './opportunityHistory.js';
+import { sendAdminNewOpportunityEmail } from './sendEmail.js';
+
+export function notifyAdminOfNewOpportunity(opportunity) {
+  if (!process.env.ADMIN_EMAIL) return;
+  void sendAdminNewOpportunityEmail({
+    to: process.env.ADMIN_EMAIL,
+    title: opportunity.title,
+    company: opportunity.company,
+  });
+}
+
+/**
+ * Publish a draft now. Atomic on isDraft so the scheduler and a manual publish cannot both send the email.
+ * Returns { opportunity } or { error, status }.
+ */
+export async function publishOpportunity(opportunityId, actor = null) {
+  const before = await Opportunity.findById(opportunityId).lean();
+  if (!before) return { error: 'Opportunity not found', status: 404 };
+  if (!before.isDraft) return { error: 'Opportunity is already published', status: 409 };
+  if (isPastDeadline(before)) return { error: 'Deadline has already passed; update it before publishing', status: 400 };
+
+  const opportunity = await Opportunity.findOneAndUpdate(
+    { _id: opportunityId, isDraft: true },
+    {
+      $set: { isDraft: false, isActive: true, publishedAt: new Date(), closedAt: null, closedReason: null },
+      $unset: { publishAt: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!opportunity) return { error: 'Opportunity is already published', status: 409 };
+
+  await recordRevisionSafe({ opportunity, before, action: 'publish', actor });
+  notifyAdminOfNewOpportunity(opportunity);
+  return { opportunity };
+}
@@ -0,0 +1,115 @@
+/**
+ * Opportunity recommendations.
+ * Authenticated users: content-based ranking from saved opportunities, past applications,
+ * role and deadlines. Anonymous users: popularity (applications + saves) with recency tie-break.
+ */
+
+import Opportunity from '../models/Opportunity.js';
+import Application from '../models/Application.js';
+import User from '../models/User.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANDIDATE_POOL = 200;
+
+const WEIGHTS = {
+  category: 3,
+  type: 2,
+  location: 1.5,
+  roleMatch: 2,
+  deadlineSoon: 1.5, // closes within DEADLINE_SOON_DAYS
+  freshness: 1, // decays over FRESHNESS_DAYS
+};
+const DEADLINE_SOON_DAYS = 14;
+const FRESHNESS_DAYS = 30;
+
+function tally(counts, value) {
+  if (!value) return;
+  const key = String(value).toLowerCase();
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+// Normalized share (0..1) of the user's history matching this value
+function share(counts, total, value) {
+  if (!value || total === 0) return 0;
+  return (counts.get(String(value).toLowerCase()) || 0) / total;
+}
+
+function openFilter(now) {
+  return { isActive: true, $or: [{ deadline: null }, { deadline: { $gte: now } }] };
+}
+
+function deadlineScore(opp, now) {
+  if (!opp.deadline) return 0;
+  const daysLeft = (new Date(opp.deadline).getTime() - now.getTime()) / DAY_MS;
+  if (daysLeft < 0 || daysLeft > DEADLINE_SOON_DAYS) return 0;
+  return 1 - daysLeft / DEADLINE_SOON_DAYS;
+}
+
+function freshnessScore(opp, now) {
+  const ageDays = (now.getTime() - new Date(opp.createdAt).getTime()) / DAY_MS;
+  return Math.max(0, 1 - ageDays / FRESHNESS_DAYS);
+}
+
+// Attachments are for enrolled students; internships suit graduates
+function roleScore(opp, role) {
+  if (role === 'student') return opp.type === 'attachment' ? 1 : 0.5;
+  if (role === 'graduate') return opp.type === 'internship' ? 1 : 0;
+  return 0;
+}
+
+export async function recommendForUser(user, limit) {
+  const now = new Date();
+  const [userDoc, applications] = await Promise.all([
+    User.findById(user._id).select('savedOpportunities').lean(),
+    Application.find({ userId: user._id }).populate('opportunityId', 'category type location').lean(),
+  ]);
+  const savedIds = userDoc?.savedOpportunities || [];
+  const saved = savedIds.length
+    ? await Opportunity.find({ _id: { $in: savedIds } }).select('category type location').lean()
+    : [];
+
+  const history = [...saved, ...applications.map((a) => a.opportunityId).filter(Boolean)];
+  const categories = new Map();
+  const types = new Map();
+  const locations = new Map();
+  for (const opp of history) {
+    tally(categories, opp.category);
+    tally(types, opp.type);
+    tally(locations, opp.location);
+  }
+
+  const appliedIds = applications.map((a) => a.opportunityId?._id || a.opportunityId).filter(Boolean);
+  const candidates = await Opportunity.find({ ...openFilter(now), _id: { $nin: appliedIds } })
+    .select('-rubric')
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_POOL)
+    .lean();
+
+  const scored = candidates.map((opp) => {
+    const score =
+      WEIGHTS.category * share(categories, history.length, opp.category) +
+      WEIGHTS.type * share(types, history.length, opp.type) +
+      WEIGHTS.location * share(locations, history.length, opp.location) +
+      WEIGHTS.roleMatch * roleScore(opp, user.role) +
+      WEIGHTS.deadlineSoon * deadlineScore(opp, now) +
+      WEIGHTS.freshness * freshnessScore(opp, now);
+    return { opp, score };
+  });
+  scored.sort((a, b) => b.score - a.score || new Date(b.opp.createdAt) - new Date(a.opp.createdAt));
+  return scored.slice(0, limit).map(({ opp, score }) => ({ ...opp, recommendationScore: Number(score.toFixed(3)) }));
+}
+
+// Popularity comes from the counters kept on each opportunity, so this stays cheap as data grows
+export async function recommendPopular(limit) {
+  return Opportunity.aggregate([
+    { $match: openFilter(new Date()) },
+    {
+      $addFields: {
+        popularity: { $add: [{ $multiply: [{ $ifNull: ['$applicationCount', 0] }, 2] }, { $ifNull: ['$saveCount', 0] }] },
+      },
+    },
+    { $sort: { popularity: -1, createdAt: -1 } },
+    { $limit: limit },
+    { $project: { rubric: 0 } },
+  ]);
+}
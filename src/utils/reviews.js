@@ -0,0 +1,103 @@
+/**
+ * Reviewer scoring. Each opportunity may define a rubric of weighted criteria; assigned reviewers
+ * score every criterion from 0 to its maxScore. A review's total is the weighted share of the
+ * maximum, on a 0-100 scale. The application keeps the mean total and flags reviewers who disagree.
+ */
+
+import Application from '../models/Application.js';
+import ApplicationReview from '../models/ApplicationReview.js';
+
+const MAX_CRITERIA = 15;
+export const MAX_REVIEWERS = 10;
+// Totals further apart than this (out of 100) flag the application for a second look
+export const REVIEW_DISAGREEMENT_THRESHOLD = Math.max(1, Number(process.env.REVIEW_DISAGREEMENT_THRESHOLD) || 25);
+
+// Returns an error message for an invalid rubric array, or null
+export function validateRubricDefinition(rubric) {
+  if (rubric === undefined || rubric === null) return null;
+  if (!Array.isArray(rubric)) return 'Rubric must be an array';
+  if (rubric.length > MAX_CRITERIA) return `At most ${MAX_CRITERIA} rubric criteria are allowed`;
+  for (const [i, c] of rubric.entries()) {
+    const n = i + 1;
+    if (!c || typeof c.label !== 'string' || !c.label.trim()) return `Criterion ${n}: label is required`;
+    if (!(Number(c.weight) > 0)) return `Criterion ${n}: weight must be greater than 0`;
+    if (c.maxScore != null && !(Number.isInteger(Number(c.maxScore)) && Number(c.maxScore) >= 1)) {
+      return `Criterion ${n}: maxScore must be a whole number of at least 1`;
+    }
+  }
+  return null;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Check submitted scores against the rubric. `rawScores` is an object keyed by criterion id
+ * (or an array of { criterionId, score }); every criterion must be scored.
+ * Returns { errors, scores, total }.
+ */
+export function scoreReview(rubric = [], rawScores) {
+  const errors = [];
+  let scoreMap = rawScores;
+  if (Array.isArray(rawScores)) {
+    scoreMap = Object.fromEntries(rawScores.map((s) => [String(s?.criterionId), s?.score]));
+  }
+  if (!scoreMap || typeof scoreMap !== 'object') {
+    return { errors: [{ message: 'Scores must be an object keyed by criterion id' }], scores: [], total: null };
+  }
+  const known = new Set(rubric.map((c) => String(c._id)));
+  for (const id of Object.keys(scoreMap)) {
+    if (!known.has(id)) errors.push({ criterionId: id, message: 'Unknown criterion' });
+  }
+  const scores = [];
+  let weighted = 0;
+  let weights = 0;
+  for (const c of rubric) {
+    const maxScore = c.maxScore || 5;
+    const raw = scoreMap[String(c._id)];
+    const score = Number(raw);
+    if (raw === undefined || raw === null || raw === '' || !Number.isFinite(score)) {
+      errors.push({ criterionId: c._id, message: `${c.label}: score is required` });
+      continue;
+    }
+    if (score < 0 || score > maxScore) {
+      errors.push({ criterionId: c._id, message: `${c.label}: score must be between 0 and ${maxScore}` });
+      continue;
+    }
+    scores.push({ criterionId: c._id, label: c.label, weight: c.weight, maxScore, score });
+    weighted += c.weight * (score / maxScore);
+    weights += c.weight;
+  }
+  const total = errors.length === 0 && weights > 0 ? round1((weighted / weights) * 100) : null;
+  return { errors, scores, total };
+}
+
+// Mean, spread and disagreement flag for a set of review totals
+export function summarizeTotals(totals) {
+  if (totals.length === 0) return { reviewScore: null, reviewCount: 0, reviewSpread: null, reviewDisagreement: false };
+  const mean = totals.reduce((sum, t) => sum + t, 0) / totals.length;
+  const spread = Math.max(...totals) - Math.min(...totals);
+  return {
+    reviewScore: round1(mean),
+    reviewCount: totals.length,
+    reviewSpread: round1(spread),
+    reviewDisagreement: totals.length > 1 && spread > REVIEW_DISAGREEMENT_THRESHOLD,
+  };
+}
+
+// Recompute the review summary stored on the application from its submitted reviews
+export async function refreshReviewSummary(applicationId) {
+  const reviews = await ApplicationReview.find({ applicationId, submittedAt: { $ne: null } }).select('total').lean();
+  const summary = summarizeTotals(reviews.map((r) => r.total).filter((t) => typeof t === 'number'));
+  const update = summary.reviewCount === 0
+    ? { $set: { reviewCount: 0, reviewDisagreement: false }, $unset: { reviewScore: 1, reviewSpread: 1 } }
+    : { $set: summary };
+  await Application.updateOne({ _id: applicationId }, update);
+  return summary;
+}
+
+// Whether any review has been submitted for the opportunity (its rubric is then locked)
+export async function hasSubmittedReviews(opportunityId) {
+  return !!(await ApplicationReview.exists({ opportunityId, submittedAt: { $ne: null } }));
+}
@@ -2,7 +2,23 @@ import cron from 'node-cron';
 import Application from '../models/Application.js';
 import Message from '../models/Message.js';
 import Opportunity from '../models/Opportunity.js';
-import { sendApplicationReminderEmail } from './sendEmail.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { sendApplicationReminderEmail, sendSavedSearchAlertEmail } from './sendEmail.js';
+import { canCompletePayment } from './deadlines.js';
+import { buildListingFilters } from './opportunityFilters.js';
+import { recordRevisionSafe } from './opportunityHistory.js';
+import { publishOpportunity } from './publishing.js';
+import { logApplicationEvent } from './applicationTimeline.js';
+import { sendInterviewReminders } from './interviews.js';
+import { lapseExpiredOffers } from './offers.js';
+
+// Saved-search alert schedules; "instant" is a short polling interval
+const SAVED_SEARCH_SCHEDULES = {
+  instant: '*/15 * * * *', // every 15 minutes
+  daily: '0 7 * * *', // 07:00 every day
+  weekly: '0 7 * * 1', // 07:00 every Monday
+};
+const MAX_ALERT_OPPORTUNITIES = 20;
 
 // Reminder configuration
 const REMINDER_CONFIG = {
@@ -26,6 +42,183 @@ export async function initializeScheduler() {
   });
 
   console.log('[Scheduler] Reminder scheduler started (runs every 6 hours)');
+
+  // Close opportunities whose deadline has passed, every hour (0 * * * *)
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await closeExpiredOpportunities();
+    } catch (error) {
+      console.error('[Scheduler] Error closing expired opportunities:', error.message);
+    }
+  });
+  // Catch up on anything that expired while the server was down
+  closeExpiredOpportunities().catch((error) => {
+    console.error('[Scheduler] Error closing expired opportunities:', error.message);
+  });
+
+  console.log('[Scheduler] Deadline scheduler started (runs every hour)');
+
+  // Publish drafts whose publishAt has been reached, every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await publishScheduledOpportunities();
+    } catch (error) {
+      console.error('[Scheduler] Error publishing scheduled opportunities:', error.message);
+    }
+  });
+  publishScheduledOpportunities().catch((error) => {
+    console.error('[Scheduler] Error publishing scheduled opportunities:', error.message);
+  });
+
+  console.log('[Scheduler] Scheduled publishing started (runs every 5 minutes)');
+
+  // Interview reminders 24 hours and 1 hour ahead, checked every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const sent = await sendInterviewReminders();
+      if (sent > 0) console.log(`[Scheduler] Sent ${sent} interview reminders`);
+    } catch (error) {
+      console.error('[Scheduler] Error sending interview reminders:', error.message);
+    }
+  });
+
+  console.log('[Scheduler] Interview reminder scheduler started (runs every 5 minutes)');
+
+  // Lapse offers whose response deadline has passed, every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const lapsed = await lapseExpiredOffers();
+      if (lapsed > 0) console.log(`[Scheduler] Lapsed ${lapsed} offers`);
+    } catch (error) {
+      console.error('[Scheduler] Error lapsing offers:', error.message);
+    }
+  });
+  // Catch up on deadlines that passed while the server was down
+  lapseExpiredOffers().catch((error) => {
+    console.error('[Scheduler] Error lapsing offers:', error.message);
+  });
+
+  console.log('[Scheduler] Offer lapse scheduler started (runs every 15 minutes)');
+
+  for (const [frequency, expression] of Object.entries(SAVED_SEARCH_SCHEDULES)) {
+    cron.schedule(expression, async () => {
+      try {
+        await sendSavedSearchAlerts(frequency);
+      } catch (error) {
+        console.error(`[Scheduler] Error sending ${frequency} saved-search alerts:`, error.message);
+      }
+    });
+  }
+
+  console.log('[Scheduler] Saved-search alert scheduler started (instant: 15 min, daily, weekly)');
+}
+
+async function sendSavedSearchAlerts(frequency) {
+  const runStartedAt = new Date();
+  const searches = await SavedSearch.find({ frequency, isActive: true })
+    .populate('userId', 'name email')
+    .lean();
+  if (searches.length === 0) return;
+
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const backendUrl = (process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+  let alertsSent = 0;
+
+  for (const search of searches) {
+    try {
+      const user = search.userId;
+      if (!user?.email) continue;
+
+      const { baseMatch, fieldFilters } = buildListingFilters(search.filters || {});
+      const opportunities = await Opportunity.find({
+        ...baseMatch,
+        ...fieldFilters,
+        // Drafts count as new when published; older opportunities have no publishedAt
+        $or: [
+          { publishedAt: { $gt: search.lastAlertAt, $lte: runStartedAt } },
+          { publishedAt: null, createdAt: { $gt: search.lastAlertAt, $lte: runStartedAt } },
+        ],
+      })
+        .sort({ publishedAt: -1, createdAt: -1 })
+        .limit(MAX_ALERT_OPPORTUNITIES)
+        .select('title company location')
+        .lean();
+
+      if (opportunities.length > 0) {
+        const emailResult = await sendSavedSearchAlertEmail({
+          to: user.email,
+          name: user.name,
+          searchName: search.name,
+          opportunities,
+          opportunitiesUrl: `${frontendUrl}/opportunities`,
+          unsubscribeUrl: `${backendUrl}/api/saved-searches/unsubscribe/${search.unsubscribeToken}`,
+        });
+
+        await Message.create({
+          userId: user._id,
+          savedSearchId: search._id,
+          opportunityIds: opportunities.map((o) => o._id),
+          type: 'saved_search_alert',
+          subject: `New matches for "${search.name}"`,
+          content: opportunities.map((o) => `${o.title} — ${o.company}`).join('\n'),
+          emailSent: emailResult.ok,
+          sentAt: new Date(),
+        });
+        alertsSent++;
+      }
+
+      await SavedSearch.updateOne({ _id: search._id }, { lastAlertAt: runStartedAt });
+    } catch (err) {
+      console.error(`[Scheduler] Error processing saved search ${search._id}:`, err.message);
+    }
+  }
+
+  if (alertsSent > 0) {
+    console.log(`[Scheduler] Sent ${alertsSent} ${frequency} saved-search alerts`);
+  }
+}
+
+async function closeExpiredOpportunities() {
+  const now = new Date();
+  const expired = await Opportunity.find({ isActive: true, deadline: { $lt: now } }).lean();
+  let closed = 0;
+  for (const before of expired) {
+    const opportunity = await Opportunity.findOneAndUpdate(
+      { _id: before._id, isActive: true },
+      { $set: { isActive: false, closedAt: now, closedReason: 'deadline' } },
+      { new: true }
+    ).lean();
+    if (!opportunity) continue;
+    closed++;
+    await recordRevisionSafe({ opportunity, before, action: 'close' });
+  }
+  if (closed > 0) {
+    console.log(`[Scheduler] Closed ${closed} opportunities past their deadline`);
+  }
+}
+
+async function publishScheduledOpportunities() {
+  const now = new Date();
+  // Drafts whose deadline has passed cannot be published; they wait for a manager to move the deadline
+  const due = await Opportunity.find({
+    isDraft: true,
+    publishAt: { $lte: now },
+    $or: [{ deadline: null }, { deadline: { $gte: now } }],
+  })
+    .select('_id title')
+    .lean();
+  let published = 0;
+  for (const draft of due) {
+    const { error } = await publishOpportunity(draft._id);
+    if (error) {
+      console.warn(`[Scheduler] Could not publish "${draft.title}" (${draft._id}): ${error}`);
+      continue;
+    }
+    published++;
+  }
+  if (published > 0) {
+    console.log(`[Scheduler] Published ${published} scheduled opportunities`);
+  }
 }
 
 async function checkAndSendReminders() {
@@ -39,7 +232,7 @@ async function checkAndSendReminders() {
       createdAt: { $lte: thresholdDate },
     })
       .populate('userId', 'name email')
-      .populate('opportunityId', 'title')
+      .populate('opportunityId', 'title deadline gracePeriodHours')
       .lean();
 
     if (applications.length === 0) {
@@ -74,6 +267,11 @@ async function checkAndSendReminders() {
           continue;
         }
 
+        // No point nudging payment once the deadline (and any grace period) is over
+        if (!canCompletePayment(app, opportunity)) {
+          continue;
+        }
+
         // Construct dashboard URL
         const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
 
@@ -100,6 +298,7 @@ async function checkAndSendReminders() {
           });
 
           await message.save();
+          await logApplicationEvent({ application: app, type: 'reminder_sent', data: { messageId: message._id, automatic: true } });
           remindersSent++;
           console.log(`[Scheduler] Reminder sent to ${user.email} for ${opportunity.title}`);
         } else {
@@ -121,3 +320,28 @@ export async function triggerReminderCheck() {
   console.log('[Scheduler] Manual reminder check triggered');
   await checkAndSendReminders();
 }
+
+export async function triggerSavedSearchAlerts(frequency = 'instant') {
+  console.log(`[Scheduler] Manual ${frequency} saved-search alert run triggered`);
+  await sendSavedSearchAlerts(frequency);
+}
+
+export async function triggerDeadlineCheck() {
+  console.log('[Scheduler] Manual deadline check triggered');
+  await closeExpiredOpportunities();
+}
+
+export async function triggerScheduledPublishing() {
+  console.log('[Scheduler] Manual scheduled-publishing run triggered');
+  await publishScheduledOpportunities();
+}
+
+export async function triggerInterviewReminders() {
+  console.log('[Scheduler] Manual interview reminder run triggered');
+  await sendInterviewReminders();
+}
+
+export async function triggerOfferLapse() {
+  console.log('[Scheduler] Manual offer lapse run triggered');
+  await lapseExpiredOffers();
+}
@@ -5,6 +5,12 @@ const resendFrom = process.env.RESEND_FROM || 'CareerStart <noreply@careerstart.
 
 const resend = resendApiKey ? new Resend(resendApiKey) : null;
 
+// { name, email } of the sending address, e.g. the organizer of calendar invites
+export function senderIdentity() {
+  const match = resendFrom.match(/^\s*"?(.*?)"?\s*<([^>]+)>\s*$/);
+  return match ? { name: match[1], email: match[2] } : { name: '', email: resendFrom.trim() };
+}
+
 async function safeSendEmail(payload) {
   if (!resend) {
     console.warn('[Resend] RESEND_API_KEY not set. Email not sent.');
@@ -187,7 +193,17 @@ In the meantime, feel free to explore other opportunities on CareerStart and con
   });
 }
 
-export async function sendApplicationStatusChangedEmail({ to, name, opportunityTitle, status }) {
+// Admin-written text shown in an email: HTML-escaped, line breaks kept
+function messageHtml(message) {
+  return String(message)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>');
+}
+
+// `message` is an optional note from the team, shown right after the greeting
+export async function sendApplicationStatusChangedEmail({ to, name, opportunityTitle, status, message }) {
   const lowered = String(status || '').toLowerCase();
   let subject;
   let html;
@@ -289,6 +305,11 @@ Log in to your CareerStart dashboard for full details.
 — CareerStart Team`;
   }
 
+  if (message) {
+    html = html.replace('</p>', `</p>\n      <p>${messageHtml(message)}</p>`);
+    text = text.replace('\n\n', `\n\n${message}\n\n`);
+  }
+
   return safeSendEmail({
     from: resendFrom,
     to,
@@ -298,6 +319,31 @@ Log in to your CareerStart dashboard for full details.
   });
 }
 
+export async function sendApplicationMessageEmail({ to, name, opportunityTitle, subject, message }) {
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>${messageHtml(message)}</p>
+    <p>This message is about your application for <strong>${opportunityTitle}</strong>. You can also read it in your CareerStart dashboard.</p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+${message}
+
+This message is about your application for "${opportunityTitle}". You can also read it in your CareerStart dashboard.
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: subject || `Update on your application for ${opportunityTitle}`,
+    html,
+    text,
+  });
+}
+
 export async function sendAdminNewOpportunityEmail({ to, title, company }) {
   const html = `
     <p>New opportunity created on CareerStart.</p>
@@ -377,3 +423,285 @@ If you have any questions or need assistance, don't hesitate to reach out to our
     text,
   });
 }
+
+export async function sendSavedSearchAlertEmail({ to, name, searchName, opportunities, opportunitiesUrl, unsubscribeUrl }) {
+  const count = opportunities.length;
+  const itemsHtml = opportunities
+    .map((o) => `<li><a href="${opportunitiesUrl}/${o._id}"><strong>${o.title}</strong></a> — ${o.company}${o.location ? ` (${o.location})` : ''}</li>`)
+    .join('');
+  const itemsText = opportunities
+    .map((o) => `- ${o.title} — ${o.company}${o.location ? ` (${o.location})` : ''}: ${opportunitiesUrl}/${o._id}`)
+    .join('\n');
+
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>${count} new ${count === 1 ? 'opportunity matches' : 'opportunities match'} your saved search <strong>${searchName}</strong>:</p>
+    <ul>${itemsHtml}</ul>
+    <p>Apply early — popular listings fill up fast.</p>
+    <p style="font-size: 12px; color: #666;">Don't want these alerts? <a href="${unsubscribeUrl}">Unsubscribe from this search</a>.</p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+${count} new ${count === 1 ? 'opportunity matches' : 'opportunities match'} your saved search "${searchName}":
+
+${itemsText}
+
+Apply early — popular listings fill up fast.
+
+Don't want these alerts? Unsubscribe: ${unsubscribeUrl}
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `${count} new ${count === 1 ? 'match' : 'matches'} for "${searchName}"`,
+    html,
+    text,
+    headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+  });
+}
+
+function icsAttachment(ics) {
+  return ics ? [{ filename: 'interview.ics', content: Buffer.from(ics, 'utf8'), contentType: 'text/calendar; charset=utf-8' }] : undefined;
+}
+
+// Where / how the interview happens, for the interview emails below
+function interviewDetails({ when, durationMinutes, location, videoLink, notes }) {
+  const rows = [
+    ['When', `${when} (${durationMinutes} minutes)`],
+    location ? ['Where', location] : null,
+    videoLink ? ['Video link', videoLink] : null,
+    notes ? ['Notes', notes] : null,
+  ].filter(Boolean);
+  return {
+    html: `<ul>${rows.map(([k, v]) => `<li><strong>${k}:</strong> ${k === 'Video link' ? `<a href="${v}">${v}</a>` : messageHtml(v)}</li>`).join('')}</ul>`,
+    text: rows.map(([k, v]) => `- ${k}: ${v}`).join('\n'),
+  };
+}
+
+export async function sendInterviewInvitationEmail({ to, name, opportunityTitle, bookingUrl }) {
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>Congratulations on being shortlisted for <strong>${opportunityTitle}</strong>! The next step is an interview.</p>
+    <p>Please choose a time that suits you from the available interview slots. Slots are limited, so book soon.</p>
+    <p style="margin: 20px 0;">
+      <a href="${bookingUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+        Book your interview
+      </a>
+    </p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+Congratulations on being shortlisted for "${opportunityTitle}"! The next step is an interview.
+
+Please choose a time that suits you from the available interview slots. Slots are limited, so book soon.
+
+Book your interview: ${bookingUrl}
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `Book your interview for ${opportunityTitle}`,
+    html,
+    text,
+  });
+}
+
+// kind: 'booked' | 'rescheduled' | 'updated'. The attached .ics adds or updates the calendar event.
+export async function sendInterviewScheduledEmail({ to, name, opportunityTitle, kind = 'booked', ics, ...slot }) {
+  const details = interviewDetails(slot);
+  const intro = {
+    booked: 'Your interview is booked.',
+    rescheduled: 'Your interview has been rescheduled. Here are the new details.',
+    updated: 'The details of your interview have changed. Here is the latest information.',
+  }[kind];
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>${intro} This is for <strong>${opportunityTitle}</strong>.</p>
+    ${details.html}
+    <p>The attached calendar invite adds the interview to your calendar. We'll also remind you a day and an hour before.</p>
+    <p>Need a different time? You can reschedule from your CareerStart dashboard up to two hours before the interview.</p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+${intro} This is for "${opportunityTitle}".
+
+${details.text}
+
+The attached calendar invite adds the interview to your calendar. We'll also remind you a day and an hour before.
+
+Need a different time? You can reschedule from your CareerStart dashboard up to two hours before the interview.
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: kind === 'booked' ? `Interview confirmed: ${opportunityTitle}` : `Interview ${kind}: ${opportunityTitle}`,
+    html,
+    text,
+    attachments: icsAttachment(ics),
+  });
+}
+
+// Copy per cancellation reason: the hiring team cancelled the slot, the application left the interview
+// stage, or the applicant cancelled it themselves
+const INTERVIEW_CANCELLED_COPY = {
+  slot_cancelled: {
+    what: 'has been cancelled by the hiring team',
+    next: (url) => ({ html: `Please <a href="${url}">choose another slot</a>. We're sorry for the inconvenience.`, text: `Please choose another slot: ${url}\n\nWe're sorry for the inconvenience.` }),
+  },
+  status_changed: {
+    what: 'has been cancelled because your application is no longer at the interview stage',
+    next: () => ({ html: 'You can follow your application on CareerStart.', text: 'You can follow your application on CareerStart.' }),
+  },
+  applicant_cancelled: {
+    what: 'has been cancelled at your request',
+    next: (url) => ({ html: `If you change your mind, you can <a href="${url}">book another slot</a>.`, text: `If you change your mind, you can book another slot: ${url}` }),
+  },
+};
+
+export async function sendInterviewCancelledEmail({ to, name, opportunityTitle, when, bookingUrl, reason = 'slot_cancelled', ics }) {
+  const copy = INTERVIEW_CANCELLED_COPY[reason] || INTERVIEW_CANCELLED_COPY.slot_cancelled;
+  const next = copy.next(bookingUrl);
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>Your interview for <strong>${opportunityTitle}</strong> on ${when} ${copy.what}.</p>
+    <p>${next.html}</p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+Your interview for "${opportunityTitle}" on ${when} ${copy.what}.
+
+${next.text}
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `Interview cancelled: ${opportunityTitle}`,
+    html,
+    text,
+    attachments: icsAttachment(ics),
+  });
+}
+
+export async function sendInterviewReminderEmail({ to, name, opportunityTitle, startsIn, ics, ...slot }) {
+  const details = interviewDetails(slot);
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>A reminder that your interview for <strong>${opportunityTitle}</strong> starts ${startsIn}.</p>
+    ${details.html}
+    <p>Good luck! Be ready a few minutes early${slot.videoLink ? ' and check your internet connection' : ''}.</p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+A reminder that your interview for "${opportunityTitle}" starts ${startsIn}.
+
+${details.text}
+
+Good luck! Be ready a few minutes early${slot.videoLink ? ' and check your internet connection' : ''}.
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `Reminder: interview for ${opportunityTitle} ${startsIn}`,
+    html,
+    text,
+    attachments: icsAttachment(ics),
+  });
+}
+
+export async function sendOfferLetterEmail({ to, name, opportunityTitle, company, responseDeadline, offerUrl, pdf }) {
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p><strong>Congratulations! 🎉</strong> ${company || 'The hiring team'} is pleased to offer you a place on <strong>${opportunityTitle}</strong>.</p>
+    <p>Your offer letter is attached as a PDF. It sets out your start date, stipend and supervisor.</p>
+    <p><strong>Please accept or decline by ${responseDeadline}.</strong> If we don't hear from you by then, the offer will lapse and the place may go to another applicant.</p>
+    <p style="margin: 20px 0;">
+      <a href="${offerUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+        Respond to your offer
+      </a>
+    </p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+Congratulations! ${company || 'The hiring team'} is pleased to offer you a place on "${opportunityTitle}".
+
+Your offer letter is attached as a PDF. It sets out your start date, stipend and supervisor.
+
+Please accept or decline by ${responseDeadline}. If we don't hear from you by then, the offer will lapse and the place may go to another applicant.
+
+Respond to your offer: ${offerUrl}
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `Your offer for ${opportunityTitle}`,
+    html,
+    text,
+    attachments: pdf ? [{ filename: 'offer-letter.pdf', content: pdf, contentType: 'application/pdf' }] : undefined,
+  });
+}
+
+export async function sendOfferLapsedEmail({ to, name, opportunityTitle }) {
+  const html = `
+    <p>Hi ${name || 'there'},</p>
+    <p>The response deadline for your offer for <strong>${opportunityTitle}</strong> has passed without a reply, so the offer has lapsed.</p>
+    <p>If you think this is a mistake, please contact us as soon as possible. In the meantime, keep exploring other opportunities on CareerStart.</p>
+    <p>— CareerStart Team</p>
+  `;
+
+  const text = `Hi ${name || 'there'},
+
+The response deadline for your offer for "${opportunityTitle}" has passed without a reply, so the offer has lapsed.
+
+If you think this is a mistake, please contact us as soon as possible. In the meantime, keep exploring other opportunities on CareerStart.
+
+— CareerStart Team`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `Your offer for ${opportunityTitle} has lapsed`,
+    html,
+    text,
+  });
+}
+
+export async function sendAdminOfferResponseEmail({ to, opportunityTitle, applicantName, applicantEmail, decision, reason }) {
+  const html = `
+    <p>${applicantName || applicantEmail} has <strong>${decision}</strong> the offer for <strong>${opportunityTitle}</strong>.</p>
+    ${reason ? `<p>Reason given: ${messageHtml(reason)}</p>` : ''}
+    <p>— CareerStart</p>
+  `;
+  const text = `${applicantName || applicantEmail} has ${decision} the offer for "${opportunityTitle}".${reason ? `\n\nReason given: ${reason}` : ''}`;
+
+  return safeSendEmail({
+    from: resendFrom,
+    to,
+    subject: `Offer ${decision}: ${opportunityTitle}`,
+    html,
+    text,
+  });
+}